@@ -0,0 +1,42 @@
+import { fetchWithRetry } from './crawler.js';
+import { recordFetched, recordFailedPage, recordDisallowed } from './crawl-report.js';
+
+// Read a whole Targetprocess API v1 collection (CustomFields, Processes, EntityStates, ...)
+// as JSON, a page at a time. Each page is requested with an explicit take and skip rather
+// than by following Next, so every page has a stable URL for recording and replay.
+
+const PAGE_SIZE = 1000;
+
+// Every item of the collection with the given include, e.g. '[Id,Name,Process[Name]]'.
+// Returns null when the site doesn't serve the collection (the failure is in the crawl
+// report), so a scrape can carry on without it.
+async function fetchAllItems(siteUrl, collection, include, crawlOptions, report) {
+    const items = [];
+    
+    for (let skip = 0; ; skip += PAGE_SIZE) {
+        const url = new URL(`/api/v1/${collection}`, siteUrl);
+        url.search = new URLSearchParams({ format: 'json', take: PAGE_SIZE, skip, include }).toString();
+        
+        let page;
+        try {
+            const response = await fetchWithRetry(url.toString(), {}, crawlOptions);
+            recordFetched(report, url.toString(), response);
+            page = JSON.parse(response.body).Items || [];
+        } catch (error) {
+            if (error.code === 'ERR_ROBOTS_DISALLOWED') {
+                recordDisallowed(report, url.toString(), error.reason);
+            } else {
+                recordFailedPage(report, url.toString(), error);
+                console.error(`Could not fetch ${collection} from ${url}: ${error.message}`);
+            }
+            return null;
+        }
+        
+        items.push(...page);
+        if (page.length < PAGE_SIZE) {
+            return items;
+        }
+    }
+}
+
+export { fetchAllItems };
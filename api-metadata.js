@@ -0,0 +1,73 @@
+// Accessors for Targetprocess API metadata as parsed by xml2js.
+// A resource's -meta document lists its fields in three groups under
+// ResourceMetadataPropertiesDescription: values, references to other entities,
+// and collections of other entities (whose element name Targetprocess misspells).
+
+const FIELD_GROUPS = {
+    values: ['ResourceMetadataPropertiesResourceValuesDescription', 'ResourceFieldMetadataDescription'],
+    references: ['ResourceMetadataPropertiesResourceReferencesDescription', 'ResourceFieldMetadataDescription'],
+    collections: ['ResourceMetadataPropertiesResourceCollectionsDescription', 'ResourceCollecitonFieldMetadataDescription']
+};
+
+// Read a field's attributes, turning the "true"/"false" flags into booleans
+function fieldFromXml(field) {
+    const attributes = field.$ || {};
+    const flag = name => attributes[name] === 'true';
+    return {
+        name: attributes.Name,
+        type: attributes.Type || '',
+        description: attributes.Description || '',
+        canGet: flag('CanGet'),
+        canSet: flag('CanSet'),
+        canAdd: flag('CanAdd'),
+        canRemove: flag('CanRemove'),
+        required: flag('IsRequired'),
+        deprecated: flag('IsDeprecated'),
+        attributes
+    };
+}
+
+// The value, reference and collection fields of a parsed -meta document,
+// or null when it has no ResourceMetadataPropertiesDescription
+function detailedFields(metaData) {
+    const metadata = metaData && metaData.ResourceMetadataDescription;
+    const groups = metadata && metadata.ResourceMetadataPropertiesDescription && metadata.ResourceMetadataPropertiesDescription[0];
+    if (!groups) {
+        return null;
+    }
+    
+    const fields = {};
+    for (const [group, [container, element]] of Object.entries(FIELD_GROUPS)) {
+        const list = groups[container] && groups[container][0] && groups[container][0][element];
+        fields[group] = Array.isArray(list) ? list.map(fieldFromXml).filter(field => field.name) : [];
+    }
+    return fields;
+}
+
+// The path of a resource's collection from its index Uri, which may point at the -meta
+// document: https://site.tpondemand.com/api/v1/UserStories/meta -> /api/v1/UserStories
+function collectionPath(uri) {
+    return new URL(uri).pathname.replace(/\/+$/, '').replace(/\/meta$/i, '');
+}
+
+// The last segment of the collection path (UserStories)
+function collectionName(uri) {
+    return collectionPath(uri).split('/').filter(Boolean).pop() || null;
+}
+
+// Map entity and collection names (UserStory, UserStories) to resource names from the index,
+// so a field's Type can be resolved to the resource that documents it
+function createResourceResolver(resources) {
+    const names = new Map();
+    for (const resource of resources) {
+        const name = resource.$.Name;
+        names.set(name.toLowerCase(), name);
+        const collection = resource.$.Uri ? collectionName(resource.$.Uri) : null;
+        if (collection && !names.has(collection.toLowerCase())) {
+            names.set(collection.toLowerCase(), name);
+        }
+    }
+    return type => names.get(String(type).toLowerCase()) || null;
+}
+
+export { detailedFields, createResourceResolver, collectionPath, collectionName };
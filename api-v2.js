@@ -0,0 +1,248 @@
+import fs from 'fs/promises';
+import path from 'path';
+import xml2js from 'xml2js';
+import { fetchWithRetry } from './crawler.js';
+import { recordFetched, recordDisallowed } from './crawl-report.js';
+import { detailedFields, createResourceResolver, collectionName } from './api-metadata.js';
+import { escapeCell } from './readme-markdown.js';
+
+// API v2 documentation for a Targetprocess site.
+// v2 queries the same entities as v1 through select/where/result expressions, so the
+// selector pages are built from the v1 -meta fields; whatever v2 metadata the site
+// serves itself is saved alongside and used for entity descriptions.
+// Everything is written to a v2 folder next to the v1 resources and markdown.
+
+// Endpoints probed for v2 metadata; sites that don't serve them answer 404, which is not an error
+const V2_METADATA_PATHS = ['/api/v2/meta', '/api/v2/index/meta'];
+
+// Filter operators worth suggesting for each Targetprocess value type
+const OPERATORS_BY_TYPE = {
+    String: ['==', '!=', '.Contains("…")', '.StartsWith("…")', '== null'],
+    Int32: ['==', '!=', '<', '<=', '>', '>=', 'in [1,2]'],
+    Int64: ['==', '!=', '<', '<=', '>', '>=', 'in [1,2]'],
+    Decimal: ['==', '!=', '<', '<=', '>', '>='],
+    Double: ['==', '!=', '<', '<=', '>', '>='],
+    Single: ['==', '!=', '<', '<=', '>', '>='],
+    DateTime: ['==', '<', '>', '>= Today.AddDays(-7)', '== null'],
+    Boolean: ['== true', '== false']
+};
+const NUMERIC_TYPES = ['Int32', 'Int64', 'Decimal', 'Double', 'Single'];
+
+// v2 expressions use camelCase field names
+function selectorName(name) {
+    return name.charAt(0).toLowerCase() + name.slice(1);
+}
+
+// Find { name, description } pairs anywhere in a parsed JSON or XML metadata document
+function entityDescriptions(data, descriptions = new Map(), depth = 0) {
+    if (!data || typeof data !== 'object' || depth > 4) {
+        return descriptions;
+    }
+    const attributes = data.$ || data;
+    const name = attributes.name || attributes.Name;
+    const description = attributes.description || attributes.Description;
+    if (typeof name === 'string' && typeof description === 'string') {
+        descriptions.set(name.toLowerCase(), description);
+    }
+    for (const value of Object.values(data)) {
+        entityDescriptions(value, descriptions, depth + 1);
+    }
+    return descriptions;
+}
+
+// Fetch and save each v2 metadata endpoint the site answers; returns the entity descriptions found
+async function fetchV2Metadata(siteUrl, dirs, crawlOptions, report) {
+    const descriptions = new Map();
+    
+    for (const metadataPath of V2_METADATA_PATHS) {
+        const url = new URL(metadataPath, siteUrl).toString();
+        let response;
+        try {
+            response = await fetchWithRetry(url, {}, crawlOptions);
+            recordFetched(report, url, response);
+        } catch (error) {
+            if (error.code === 'ERR_ROBOTS_DISALLOWED') {
+                recordDisallowed(report, url, error.reason);
+            } else {
+                console.log(`No v2 metadata at ${url} (${error.response ? `HTTP ${error.response.statusCode}` : error.message})`);
+            }
+            continue;
+        }
+        
+        const body = String(response.body);
+        const isXml = body.trimStart().startsWith('<');
+        const fileName = `${metadataPath.replace(/^\/api\/v2\/?/, '').replace(/\//g, '-') || 'index'}.${isXml ? 'xml' : 'json'}`;
+        for (const dir of dirs) {
+            await fs.mkdir(path.join(dir, 'v2', 'meta'), { recursive: true });
+            await fs.writeFile(path.join(dir, 'v2', 'meta', fileName), body);
+        }
+        
+        try {
+            entityDescriptions(isXml ? await xml2js.parseStringPromise(body) : JSON.parse(body), descriptions);
+        } catch (error) {
+            console.warn(`Could not parse v2 metadata from ${url}: ${error.message}`);
+        }
+        console.log(`Saved v2 metadata from ${url}`);
+    }
+    
+    return descriptions;
+}
+
+// One entry per v1 resource whose -meta fields are known
+async function loadV2Entities(resources, resourcesDir, descriptions) {
+    const entities = [];
+    for (const resource of resources.filter(resource => resource.$.Uri)) {
+        const name = resource.$.Name;
+        let fields;
+        try {
+            fields = detailedFields(JSON.parse(await fs.readFile(path.join(resourcesDir, `${name}-meta.json`), 'utf-8')));
+        } catch (error) {
+            continue;
+        }
+        if (!fields) {
+            continue;
+        }
+        
+        const collection = collectionName(resource.$.Uri).toLowerCase();
+        entities.push({
+            name,
+            collection,
+            description: descriptions.get(name.toLowerCase()) || descriptions.get(collection) || resource.$.Description || '',
+            fields
+        });
+    }
+    return entities;
+}
+
+function generateV2IndexMarkdown(entities, siteUrl) {
+    const siteName = new URL(siteUrl).hostname;
+    let markdown = `# API v2 Documentation for ${siteName}\n\n`;
+    markdown += `API v2 is read-only and queries entities with expressions passed as query parameters:\n\n`;
+    markdown += `- \`select\` picks the fields to return, e.g. \`select={id,name,project:{id,name},bugCount:bugs.count}\`\n`;
+    markdown += `- \`where\` filters the entities, e.g. \`where=(entityState.isFinal!=true and project.id==42)\`\n`;
+    markdown += `- \`result\` aggregates instead of listing, e.g. \`result=count\` or \`result={total:count,effort:sum(effort)}\`\n`;
+    markdown += `- \`orderBy\`, \`take\` and \`skip\` sort and page the results\n\n`;
+    markdown += `Field names are case-insensitive and written in camelCase here. References can be selected whole (\`project\`), `;
+    markdown += `by field (\`project.name\`) or as a nested object (\`project:{id,name}\`); collections support \`.count\`, `;
+    markdown += `\`.where(...)\`, \`.select({...})\` and aggregates such as \`.sum(effort)\`.\n\n`;
+    markdown += `The fields listed for each entity come from the site's API v1 metadata, which describes the same entities.\n\n`;
+    markdown += `## Entities\n\n`;
+    
+    if (entities.length === 0) {
+        return `${markdown}*No entity metadata found*\n`;
+    }
+    markdown += `| Entity | Endpoint | Description |\n`;
+    markdown += `|--------|----------|-------------|\n`;
+    for (const entity of entities) {
+        markdown += `| [${entity.name}](${entity.name}.md) | \`/api/v2/${entity.collection}\` | ${escapeCell(entity.description)} |\n`;
+    }
+    return markdown;
+}
+
+function generateV2EntityMarkdown(entity, resolve) {
+    const readable = list => list.filter(field => field.canGet);
+    const values = readable(entity.fields.values);
+    const references = readable(entity.fields.references);
+    const collections = readable(entity.fields.collections);
+    const link = type => (resolve(type) ? `[${type}](${resolve(type)}.md)` : `\`${type}\``);
+    const deprecated = field => (field.deprecated ? ' (deprecated)' : '');
+    
+    let markdown = `# ${entity.name} (API v2)\n\n`;
+    markdown += `${entity.description || 'No description provided'}\n\n`;
+    markdown += `\`GET /api/v2/${entity.collection}\` and \`GET /api/v2/${entity.collection}/{id}\`. `;
+    markdown += `See the [v1 resource page](../../markdown/${entity.name}.md) for which fields can be set.\n\n`;
+    
+    // An example that uses the entity's own fields
+    const select = [
+        ...values.slice(0, 3).map(field => selectorName(field.name)),
+        ...references.slice(0, 1).map(field => `${selectorName(field.name)}:{id,name}`),
+        ...collections.slice(0, 1).map(field => `${selectorName(field.name)}Count:${selectorName(field.name)}.count`)
+    ];
+    const filterField = values.find(field => field.type === 'String' && field.name !== 'Id');
+    markdown += `## Example\n\n`;
+    markdown += '```\n';
+    markdown += `GET /api/v2/${entity.collection}?select={${select.join(',')}}`;
+    markdown += filterField ? `&where=(${selectorName(filterField.name)}.Contains("api"))` : '';
+    markdown += `&take=25\n`;
+    markdown += '```\n\n';
+    
+    markdown += `## Value Fields\n\n`;
+    if (values.length > 0) {
+        markdown += `| Field | Type | Filter Operators | Description |\n`;
+        markdown += `|-------|------|------------------|-------------|\n`;
+        for (const field of values) {
+            const operators = (OPERATORS_BY_TYPE[field.type] || ['==', '!=']).map(operator => `\`${operator}\``).join(' ');
+            markdown += `| \`${selectorName(field.name)}\`${deprecated(field)} | \`${field.type}\` | ${operators} | ${escapeCell(field.description)} |\n`;
+        }
+        markdown += `\n`;
+    } else {
+        markdown += `*None*\n\n`;
+    }
+    
+    markdown += `## References\n\n`;
+    if (references.length > 0) {
+        markdown += `| Field | Entity | Selectors | Filter |\n`;
+        markdown += `|-------|--------|-----------|--------|\n`;
+        for (const field of references) {
+            const name = selectorName(field.name);
+            markdown += `| \`${name}\`${deprecated(field)} | ${link(field.type)} | \`${name}\`, \`${name}.name\`, \`${name}:{id,name}\` | \`${name}.id==1\`, \`${name}==null\` |\n`;
+        }
+        markdown += `\n`;
+    } else {
+        markdown += `*None*\n\n`;
+    }
+    
+    markdown += `## Collections\n\n`;
+    if (collections.length > 0) {
+        markdown += `| Field | Entity | Selectors | Filter |\n`;
+        markdown += `|-------|--------|-----------|--------|\n`;
+        for (const field of collections) {
+            const name = selectorName(field.name);
+            markdown += `| \`${name}\`${deprecated(field)} | ${link(field.type)} | \`${name}.count\`, \`${name}.select({id,name})\`, \`${name}.where(...)\` | \`${name}.count>0\` |\n`;
+        }
+        markdown += `\n`;
+    } else {
+        markdown += `*None*\n\n`;
+    }
+    
+    const numeric = values.filter(field => NUMERIC_TYPES.includes(field.type) && field.name !== 'Id');
+    markdown += `## Aggregates\n\n`;
+    markdown += `- \`result=count\`\n`;
+    for (const field of numeric.slice(0, 5)) {
+        const name = selectorName(field.name);
+        markdown += `- \`result={total:count,${name}:sum(${name})}\`\n`;
+    }
+    markdown += `\n`;
+    
+    return markdown;
+}
+
+// Save the site's v2 metadata and write the v2 selector pages and entities.json to <dir>/v2 for each dir.
+// The v1 -meta documents must already be saved in the last dir's resources folder.
+async function scrapeApiV2Metadata(siteUrl, resources, dirs, crawlOptions, report) {
+    console.log('Collecting API v2 metadata...');
+    const descriptions = await fetchV2Metadata(siteUrl, dirs, crawlOptions, report);
+    const entities = await loadV2Entities(resources, path.join(dirs[dirs.length - 1], 'resources'), descriptions);
+    const resolve = createResourceResolver(resources);
+    
+    for (const dir of dirs) {
+        const markdownDir = path.join(dir, 'v2', 'markdown');
+        await fs.mkdir(markdownDir, { recursive: true });
+        await fs.writeFile(path.join(dir, 'v2', 'entities.json'), JSON.stringify(entities.map(entity => ({
+            name: entity.name,
+            collection: entity.collection,
+            description: entity.description,
+            fields: Object.fromEntries(Object.entries(entity.fields)
+                .map(([group, fields]) => [group, fields.map(({ attributes, ...field }) => field)]))
+        })), null, 2));
+        await fs.writeFile(path.join(markdownDir, 'index.md'), generateV2IndexMarkdown(entities, siteUrl));
+        for (const entity of entities) {
+            await fs.writeFile(path.join(markdownDir, `${entity.name}.md`), generateV2EntityMarkdown(entity, resolve));
+        }
+    }
+    
+    console.log(`API v2: ${entities.length} entity pages written to ${path.join(dirs[dirs.length - 1], 'v2')}`);
+    return entities;
+}
+
+export { scrapeApiV2Metadata, selectorName };
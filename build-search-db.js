@@ -2,10 +2,14 @@ import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import fs from 'fs/promises';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseFrontmatter } from './frontmatter.js';
+import { extractSections, extractTitle } from './markdown-sections.js';
+import { REPORT_MARKDOWN_FILE } from './crawl-report.js';
+import { loadDocSources, DEFAULT_SOURCE } from './doc-sources.js';
 
 // Define directory structure
 const GENERATED_DIR = 'generated';
-const DEV_DOCS_DIR = path.join(GENERATED_DIR, 'dev-docs');
 const API_DOCS_DIR = 'api-docs';
 const DATABASE_DIR = path.join(GENERATED_DIR, 'database');
 const DATABASE_PATH = path.join(DATABASE_DIR, 'docs.db');
@@ -26,6 +30,7 @@ async function initializeDb() {
     await db.exec(`DROP TABLE IF EXISTS relationships;`);
     await db.exec(`DROP TABLE IF EXISTS keywords;`);
     await db.exec(`DROP TABLE IF EXISTS node_keywords;`);
+    await db.exec(`DROP TABLE IF EXISTS assets;`);
 
     // Create tables with improved schema
     await db.exec(`
@@ -34,7 +39,15 @@ async function initializeDb() {
             content,           -- Full document content
             title,            -- Document title
             tags,             -- Document tags
-            section_path      -- Full section path (e.g., "Introduction > Getting Started")
+            section_path,     -- Full section path (e.g., "Introduction > Getting Started")
+            breadcrumbs,      -- Navigation trail from frontmatter (e.g., "Getting Started > Overview")
+            nav_category,     -- Sidebar category from frontmatter
+            source_url UNINDEXED,   -- Page the document was scraped from
+            scraped_at UNINDEXED,   -- When the page content was last written
+            content_hash UNINDEXED, -- Hash of the markdown body at scrape time
+            nav_parent UNINDEXED,   -- Source URL of the parent page in the sidebar
+            nav_order UNINDEXED,    -- Position of the page in the sidebar
+            source UNINDEXED        -- Source profile the document was scraped from (doc-sources.json), or "api-docs"
         );
 
         CREATE VIRTUAL TABLE sections USING fts5(
@@ -44,7 +57,19 @@ async function initializeDb() {
             content,          -- Section content
             level,            -- Header level (1-6)
             parent_id,        -- Parent section ID
-            section_path      -- Full section path
+            section_path,     -- Full section path
+            source UNINDEXED  -- Source of the parent document
+        );
+
+        CREATE VIRTUAL TABLE assets USING fts5(
+            path,             -- Local file path, e.g. "dev-docs/assets/1a2b3c-board.png"
+            doc_path,         -- Document that shows or links to the asset
+            alt,              -- Alt text for images, link text for files
+            kind UNINDEXED,         -- "image" or "file"
+            source_url UNINDEXED,   -- Where the asset was downloaded from
+            content_type UNINDEXED, -- MIME type reported by the server
+            width UNINDEXED,        -- Pixel width for images
+            height UNINDEXED        -- Pixel height for images
         );
 
         CREATE TABLE relationships (
@@ -75,73 +100,17 @@ async function initializeDb() {
     return db;
 }
 
-// Extract sections from markdown content
-function extractSections(content) {
-    const sections = [];
-    const lines = content.split('\n');
-    let currentSection = {
-        title: '',
-        content: [],
-        level: 0,
-        parent_id: null,
-        section_path: []
+// Map parsed frontmatter to the dedicated docs columns
+function frontmatterColumns(frontmatter) {
+    return {
+        breadcrumbs: Array.isArray(frontmatter.breadcrumbs) ? frontmatter.breadcrumbs.join(' > ') : null,
+        nav_category: frontmatter.nav_category ?? null,
+        source_url: frontmatter.source_url ?? null,
+        scraped_at: frontmatter.scraped_at ?? null,
+        content_hash: frontmatter.content_hash ?? null,
+        nav_parent: frontmatter.nav_parent ?? null,
+        nav_order: frontmatter.nav_order ?? null
     };
-    
-    const headerRegex = /^(#{1,6})\s+(.+)$/;
-    const sectionStack = [];
-    
-    for (const line of lines) {
-        const headerMatch = line.match(headerRegex);
-        
-        if (headerMatch) {
-            // Save previous section if it exists
-            if (currentSection.content.length > 0) {
-                sections.push({
-                    ...currentSection,
-                    content: currentSection.content.join('\n'),
-                    section_path: currentSection.section_path.join(' > ')
-                });
-            }
-            
-            const level = headerMatch[1].length;
-            const title = headerMatch[2].trim();
-            
-            // Update section stack
-            while (sectionStack.length > 0 && sectionStack[sectionStack.length - 1].level >= level) {
-                sectionStack.pop();
-            }
-            
-            // Create new section
-            currentSection = {
-                title,
-                content: [],
-                level,
-                parent_id: sectionStack.length > 0 ? sectionStack[sectionStack.length - 1].title : null,
-                section_path: [...sectionStack.map(s => s.title), title]
-            };
-            
-            sectionStack.push({ title, level });
-        } else {
-            currentSection.content.push(line);
-        }
-    }
-    
-    // Add final section
-    if (currentSection.content.length > 0) {
-        sections.push({
-            ...currentSection,
-            content: currentSection.content.join('\n'),
-            section_path: currentSection.section_path.join(' > ')
-        });
-    }
-    
-    return sections;
-}
-
-// Extract title from markdown content
-function extractTitle(content) {
-    const titleMatch = content.match(/^#\s+(.+)$/m);
-    return titleMatch ? titleMatch[1].trim() : '';
 }
 
 // Find internal links in markdown content
@@ -152,11 +121,13 @@ function findInternalLinks(content) {
 
     while ((match = linkRegex.exec(content)) !== null) {
         const [, text, url] = match;
-        // Only include internal markdown links
-        if (url.endsWith('.md') && !url.startsWith('http')) {
+        const [target, anchor] = url.split('#');
+        // Only include internal markdown links, which may carry an anchor
+        if (target.endsWith('.md') && !/^[a-z][a-z0-9+.-]*:/i.test(target)) {
             links.push({
                 text,
-                target: url
+                target,
+                anchor: anchor || null
             });
         }
     }
@@ -197,100 +168,143 @@ async function processAllFiles(db) {
         categoryPatterns[category] = new RegExp('\\b(' + terms.join('|') + ')\\b', 'gi');
     }
     
-    // Ensure dev docs directory exists
-    await fs.mkdir(DEV_DOCS_DIR, { recursive: true });
-    
     // Prepare batch arrays
     const docsToInsert = [];
     const sectionsToInsert = [];
     const relationshipsToInsert = [];
     const keywordsToProcess = [];
+    const assetsToInsert = [];
     
-    // 1. Process general documentation
-    const devFiles = await fs.readdir(DEV_DOCS_DIR);
-    const devMarkdownFiles = devFiles.filter(file => file.endsWith('.md'));
-    console.log(`Found ${devMarkdownFiles.length} general documentation markdown files to process...`);
-    
-    // Process each general doc file
-    for (const file of devMarkdownFiles) {
-        const filePath = path.join(DEV_DOCS_DIR, file);
+    // 1. Process general documentation from every scraped source profile.
+    // Paths are prefixed with the source's output folder name, e.g. "dev-docs/overview.md".
+    const docSources = await loadDocSources();
+    for (const [name, source] of Object.entries(docSources)) {
+        const docsDir = source.outputDir;
+        const prefix = path.basename(docsDir);
         try {
-            const content = await fs.readFile(filePath, 'utf-8');
-            const relativePath = path.relative(DEV_DOCS_DIR, filePath);
-            const title = extractTitle(content);
-            const links = findInternalLinks(content);
-            const sections = extractSections(content);
-            
-            // Add document to batch
-            docsToInsert.push({
-                path: `dev-docs/${relativePath}`,
-                content: content,
-                title: title,
-                tags: 'general',
-                section_path: sections.map(s => s.title).join(' > ')
-            });
-            
-            // Extract document keywords
-            const docCategories = extractCategories(content);
-            keywordsToProcess.push({
-                nodeId: `dev-docs/${relativePath}`,
-                categories: docCategories
-            });
-            
-            // Process sections
-            for (const section of sections) {
-                const sectionId = `dev-docs/${relativePath}#${section.title.toLowerCase().replace(/\s+/g, '-')}`;
+            await fs.access(docsDir);
+        } catch (error) {
+            // Only the dev docs are scraped by default; skip sources that were never crawled
+            if (name !== DEFAULT_SOURCE) {
+                continue;
+            }
+            await fs.mkdir(docsDir, { recursive: true });
+        }
+        
+        const sourceFiles = await fs.readdir(docsDir, { recursive: true });
+        const markdownFiles = sourceFiles.filter(file => file.endsWith('.md') && file !== REPORT_MARKDOWN_FILE);
+        console.log(`Found ${markdownFiles.length} ${name} markdown files to process...`);
+        
+        // Process each doc file of this source
+        for (const file of markdownFiles) {
+            const filePath = path.join(docsDir, file);
+            try {
+                const rawContent = await fs.readFile(filePath, 'utf-8');
+                const { data: frontmatter, body: content } = parseFrontmatter(rawContent);
+                const relativePath = path.relative(docsDir, filePath).split(path.sep).join('/');
+                const title = frontmatter.title || extractTitle(content);
+                const links = findInternalLinks(content);
+                const sections = extractSections(content);
                 
-                // Add section to batch
-                sectionsToInsert.push({
-                    doc_path: `dev-docs/${relativePath}`,
-                    section_id: sectionId,
-                    title: section.title,
-                    content: section.content,
-                    level: section.level,
-                    parent_id: section.parent_id,
-                    section_path: section.section_path
+                // Add document to batch
+                docsToInsert.push({
+                    path: `${prefix}/${relativePath}`,
+                    content: content,
+                    title: title,
+                    tags: 'general',
+                    source: name,
+                    section_path: sections.map(s => s.title).join(' > '),
+                    ...frontmatterColumns(frontmatter)
                 });
                 
-                // Extract section keywords
-                const sectionCategories = extractCategories(section.title + ' ' + section.content);
+                // Extract document keywords
+                const docCategories = extractCategories(content);
                 keywordsToProcess.push({
-                    nodeId: sectionId,
-                    categories: sectionCategories
+                    nodeId: `${prefix}/${relativePath}`,
+                    categories: docCategories
                 });
-            }
-            
-            // Add relationships to batch
-            for (const link of links) {
-                relationshipsToInsert.push({
-                    source_id: `dev-docs/${relativePath}`,
-                    target_id: `dev-docs/${link.target}`,
-                    relationship_type: 'link'
-                });
-            }
-            
-            // Add document-section relationships
-            for (const section of sections) {
-                const sectionId = `dev-docs/${relativePath}#${section.title.toLowerCase().replace(/\s+/g, '-')}`;
                 
-                // Create bidirectional relationships between document and its sections
-                relationshipsToInsert.push({
-                    source_id: `dev-docs/${relativePath}`,
-                    target_id: sectionId,
-                    relationship_type: 'category'
-                });
+                // Process sections
+                for (const section of sections) {
+                    const sectionId = `${prefix}/${relativePath}#${section.title.toLowerCase().replace(/\s+/g, '-')}`;
+                    
+                    // Add section to batch
+                    sectionsToInsert.push({
+                        doc_path: `${prefix}/${relativePath}`,
+                        section_id: sectionId,
+                        title: section.title,
+                        content: section.content,
+                        level: section.level,
+                        parent_id: section.parent_id,
+                        section_path: section.section_path,
+                        source: name
+                    });
+                    
+                    // Extract section keywords
+                    const sectionCategories = extractCategories(section.title + ' ' + section.content);
+                    keywordsToProcess.push({
+                        nodeId: sectionId,
+                        categories: sectionCategories
+                    });
+                }
                 
-                relationshipsToInsert.push({
-                    source_id: sectionId,
-                    target_id: `dev-docs/${relativePath}`,
-                    relationship_type: 'category'
-                });
+                // Add relationships to batch
+                for (const link of links) {
+                    // Links are relative to the linking file, which may sit in a subdirectory
+                    const targetPath = path.posix.normalize(path.posix.join(path.posix.dirname(relativePath), link.target));
+                    relationshipsToInsert.push({
+                        source_id: `${prefix}/${relativePath}`,
+                        target_id: `${prefix}/${targetPath}`,
+                        relationship_type: 'link'
+                    });
+                }
+                
+                // Add document-section relationships
+                for (const section of sections) {
+                    const sectionId = `${prefix}/${relativePath}#${section.title.toLowerCase().replace(/\s+/g, '-')}`;
+                    
+                    // Create bidirectional relationships between document and its sections
+                    relationshipsToInsert.push({
+                        source_id: `${prefix}/${relativePath}`,
+                        target_id: sectionId,
+                        relationship_type: 'category'
+                    });
+                    
+                    relationshipsToInsert.push({
+                        source_id: sectionId,
+                        target_id: `${prefix}/${relativePath}`,
+                        relationship_type: 'category'
+                    });
+                }
+                
+                process.stdout.write('.');
+            } catch (error) {
+                console.error(`\nError processing ${file}:`, error);
             }
-            
-            process.stdout.write('.');
+        }
+        
+        // Index downloaded images and files by the text describing them on each page
+        try {
+            const assetCatalog = JSON.parse(await fs.readFile(path.join(docsDir, 'assets.json'), 'utf-8'));
+            for (const [sourceUrl, asset] of Object.entries(assetCatalog)) {
+                for (const page of asset.pages) {
+                    assetsToInsert.push({
+                        path: `${prefix}/${asset.outputPath}`,
+                        doc_path: `${prefix}/${page.outputPath}`,
+                        alt: page.alt,
+                        kind: asset.kind,
+                        source_url: sourceUrl,
+                        content_type: asset.contentType,
+                        width: asset.width,
+                        height: asset.height
+                    });
+                }
+            }
+            console.log(`\nFound ${Object.keys(assetCatalog).length} downloaded ${name} assets...`);
         } catch (error) {
-            console.error(`\nError processing ${file}:`, error);
+            // No assets were downloaded with these docs
         }
+        
     }
     
     // 2. Process API documentation if it exists
@@ -298,100 +312,113 @@ async function processAllFiles(db) {
         const apiSites = await fs.readdir(API_DOCS_DIR);
         
         for (const site of apiSites) {
-            const apiMarkdownDir = path.join(API_DOCS_DIR, site, 'markdown');
-            
-            try {
-                // Check if the markdown directory exists
-                await fs.access(apiMarkdownDir);
+            // v1 resource pages, the custom field and workflow pages, and the v2 selector pages when the site was scraped with them
+            const markdownDirs = [
+                { label: 'v1', markdownPath: 'markdown', tags: `api,${site}` },
+                { label: 'custom field', markdownPath: path.join('markdown', 'custom-fields'), tags: `api,custom-fields,${site}` },
+                { label: 'workflow', markdownPath: path.join('markdown', 'workflows'), tags: `api,workflow,${site}` },
+                { label: 'v2', markdownPath: path.join('v2', 'markdown'), tags: `api,v2,${site}` }
+            ];
+            for (const { label, markdownPath, tags } of markdownDirs) {
+                const apiMarkdownDir = path.join(API_DOCS_DIR, site, markdownPath);
                 
-                const apiFiles = await fs.readdir(apiMarkdownDir);
-                const apiMarkdownFiles = apiFiles.filter(file => file.endsWith('.md'));
-                console.log(`\nFound ${apiMarkdownFiles.length} API documentation files for site ${site}...`);
-                
-                // Process each API doc file
-                for (const file of apiMarkdownFiles) {
-                    const filePath = path.join(apiMarkdownDir, file);
-                    try {
-                        const content = await fs.readFile(filePath, 'utf-8');
-                        const relativePath = path.join(site, 'markdown', file);
-                        const title = extractTitle(content) || file.replace('.md', '');
-                        const links = findInternalLinks(content);
-                        const sections = extractSections(content);
-                        
-                        // Add document to batch
-                        docsToInsert.push({
-                            path: `api-docs/${relativePath}`,
-                            content: content,
-                            title: title,
-                            tags: `api,${site}`,
-                            section_path: sections.map(s => s.title).join(' > ')
-                        });
-                        
-                        // Extract document keywords
-                        const docCategories = extractCategories(content);
-                        keywordsToProcess.push({
-                            nodeId: `api-docs/${relativePath}`,
-                            categories: docCategories
-                        });
-                        
-                        // Process sections
-                        for (const section of sections) {
-                            const sectionId = `api-docs/${relativePath}#${section.title.toLowerCase().replace(/\s+/g, '-')}`;
+                try {
+                    // Check if the markdown directory exists
+                    await fs.access(apiMarkdownDir);
+                    
+                    const apiFiles = await fs.readdir(apiMarkdownDir);
+                    const apiMarkdownFiles = apiFiles.filter(file => file.endsWith('.md'));
+                    console.log(`\nFound ${apiMarkdownFiles.length} API ${label} documentation files for site ${site}...`);
+                    
+                    // Process each API doc file
+                    for (const file of apiMarkdownFiles) {
+                        const filePath = path.join(apiMarkdownDir, file);
+                        try {
+                            const rawContent = await fs.readFile(filePath, 'utf-8');
+                            const { data: frontmatter, body: content } = parseFrontmatter(rawContent);
+                            const relativePath = path.join(site, markdownPath, file);
+                            const title = frontmatter.title || extractTitle(content) || file.replace('.md', '');
+                            const links = findInternalLinks(content);
+                            const sections = extractSections(content);
                             
-                            // Add section to batch
-                            sectionsToInsert.push({
-                                doc_path: `api-docs/${relativePath}`,
-                                section_id: sectionId,
-                                title: section.title,
-                                content: section.content,
-                                level: section.level,
-                                parent_id: section.parent_id,
-                                section_path: section.section_path
+                            // Add document to batch
+                            docsToInsert.push({
+                                path: `api-docs/${relativePath}`,
+                                content: content,
+                                title: title,
+                                tags,
+                                source: 'api-docs',
+                                section_path: sections.map(s => s.title).join(' > '),
+                                ...frontmatterColumns(frontmatter)
                             });
                             
-                            // Extract section keywords
-                            const sectionCategories = extractCategories(section.title + ' ' + section.content);
+                            // Extract document keywords
+                            const docCategories = extractCategories(content);
                             keywordsToProcess.push({
-                                nodeId: sectionId,
-                                categories: sectionCategories
+                                nodeId: `api-docs/${relativePath}`,
+                                categories: docCategories
                             });
-                        }
-                        
-                        // Add relationships to batch
-                        for (const link of links) {
-                            relationshipsToInsert.push({
-                                source_id: `api-docs/${relativePath}`,
-                                target_id: `api-docs/${path.join(site, 'markdown', link.target)}`,
-                                relationship_type: 'link'
-                            });
-                        }
-                        
-                        // Add document-section relationships
-                        for (const section of sections) {
-                            const sectionId = `api-docs/${relativePath}#${section.title.toLowerCase().replace(/\s+/g, '-')}`;
                             
-                            // Create bidirectional relationships between document and its sections
-                            relationshipsToInsert.push({
-                                source_id: `api-docs/${relativePath}`,
-                                target_id: sectionId,
-                                relationship_type: 'category'
-                            });
+                            // Process sections
+                            for (const section of sections) {
+                                const sectionId = `api-docs/${relativePath}#${section.title.toLowerCase().replace(/\s+/g, '-')}`;
+                                
+                                // Add section to batch
+                                sectionsToInsert.push({
+                                    doc_path: `api-docs/${relativePath}`,
+                                    section_id: sectionId,
+                                    title: section.title,
+                                    content: section.content,
+                                    level: section.level,
+                                    parent_id: section.parent_id,
+                                    section_path: section.section_path,
+                                    source: 'api-docs'
+                                });
+                                
+                                // Extract section keywords
+                                const sectionCategories = extractCategories(section.title + ' ' + section.content);
+                                keywordsToProcess.push({
+                                    nodeId: sectionId,
+                                    categories: sectionCategories
+                                });
+                            }
                             
-                            relationshipsToInsert.push({
-                                source_id: sectionId,
-                                target_id: `api-docs/${relativePath}`,
-                                relationship_type: 'category'
-                            });
+                            // Add relationships to batch
+                            for (const link of links) {
+                                relationshipsToInsert.push({
+                                    source_id: `api-docs/${relativePath}`,
+                                    target_id: `api-docs/${path.join(site, markdownPath, link.target)}`,
+                                    relationship_type: 'link'
+                                });
+                            }
+                            
+                            // Add document-section relationships
+                            for (const section of sections) {
+                                const sectionId = `api-docs/${relativePath}#${section.title.toLowerCase().replace(/\s+/g, '-')}`;
+                                
+                                // Create bidirectional relationships between document and its sections
+                                relationshipsToInsert.push({
+                                    source_id: `api-docs/${relativePath}`,
+                                    target_id: sectionId,
+                                    relationship_type: 'category'
+                                });
+                                
+                                relationshipsToInsert.push({
+                                    source_id: sectionId,
+                                    target_id: `api-docs/${relativePath}`,
+                                    relationship_type: 'category'
+                                });
+                            }
+                            
+                            process.stdout.write('.');
+                        } catch (error) {
+                            console.error(`\nError processing API file ${file}:`, error);
                         }
-                        
-                        process.stdout.write('.');
-                    } catch (error) {
-                        console.error(`\nError processing API file ${file}:`, error);
                     }
+                } catch (error) {
+                    // Skip if site doesn't have these docs
+                    console.log(`\nNo API ${label} markdown directory found for site ${site}`);
                 }
-            } catch (error) {
-                // Skip if site doesn't have markdown directory
-                console.log(`\nNo markdown directory found for site ${site}`);
             }
         }
     } catch (error) {
@@ -401,6 +428,7 @@ async function processAllFiles(db) {
     // Log total files to be inserted
     console.log(`\nTotal documents to insert: ${docsToInsert.length}`);
     console.log(`Total sections to insert: ${sectionsToInsert.length}`);
+    console.log(`Total assets to insert: ${assetsToInsert.length}`);
     
     console.log('\nInserting data into database...');
     
@@ -409,14 +437,29 @@ async function processAllFiles(db) {
     
     try {
         // Insert documents
-        const docStmt = await db.prepare('INSERT INTO docs (path, content, title, tags, section_path) VALUES (?, ?, ?, ?, ?)');
+        const docStmt = await db.prepare(`INSERT INTO docs (path, content, title, tags, section_path, breadcrumbs, nav_category,
+            source_url, scraped_at, content_hash, nav_parent, nav_order, source) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`);
         for (const doc of docsToInsert) {
-            await docStmt.run(doc.path, doc.content, doc.title, doc.tags, doc.section_path);
+            await docStmt.run(
+                doc.path,
+                doc.content,
+                doc.title,
+                doc.tags,
+                doc.section_path,
+                doc.breadcrumbs,
+                doc.nav_category,
+                doc.source_url,
+                doc.scraped_at,
+                doc.content_hash,
+                doc.nav_parent,
+                doc.nav_order,
+                doc.source
+            );
         }
         await docStmt.finalize();
         
         // Insert sections
-        const sectionStmt = await db.prepare('INSERT INTO sections (doc_path, section_id, title, content, level, parent_id, section_path) VALUES (?, ?, ?, ?, ?, ?, ?)');
+        const sectionStmt = await db.prepare('INSERT INTO sections (doc_path, section_id, title, content, level, parent_id, section_path, source) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
         for (const section of sectionsToInsert) {
             await sectionStmt.run(
                 section.doc_path, 
@@ -425,11 +468,28 @@ async function processAllFiles(db) {
                 section.content, 
                 section.level, 
                 section.parent_id, 
-                section.section_path
+                section.section_path,
+                section.source
             );
         }
         await sectionStmt.finalize();
         
+        // Insert assets
+        const assetStmt = await db.prepare('INSERT INTO assets (path, doc_path, alt, kind, source_url, content_type, width, height) VALUES (?, ?, ?, ?, ?, ?, ?, ?)');
+        for (const asset of assetsToInsert) {
+            await assetStmt.run(
+                asset.path,
+                asset.doc_path,
+                asset.alt,
+                asset.kind,
+                asset.source_url,
+                asset.content_type,
+                asset.width,
+                asset.height
+            );
+        }
+        await assetStmt.finalize();
+        
         // Insert relationships
         const relStmt = await db.prepare('INSERT INTO relationships (source_id, target_id, relationship_type) VALUES (?, ?, ?)');
         for (const rel of relationshipsToInsert) {
@@ -527,7 +587,7 @@ async function main() {
         const db = await initializeDb();
 
         // Clear existing data
-        await db.exec('DELETE FROM docs; DELETE FROM sections; DELETE FROM relationships; DELETE FROM keywords; DELETE FROM node_keywords;');
+        await db.exec('DELETE FROM docs; DELETE FROM sections; DELETE FROM relationships; DELETE FROM keywords; DELETE FROM node_keywords; DELETE FROM assets;');
 
         console.log('Processing markdown files...');
         await processAllFiles(db);
@@ -672,4 +732,7 @@ async function createCategoryIndex(db) {
     }
 }
 
-main();
+// Run main if this file is executed directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { detailedFields } from './api-metadata.js';
+import { escapeCell } from './readme-markdown.js';
+
+// Compare the API metadata of two scraped Targetprocess sites, e.g. staging and production.
+// Reads index-meta.json and the resources' -meta documents under generated/api-docs/<site>
+// and reports the resources and properties added, removed or changed between them.
+
+const DEFAULT_API_DOCS_DIR = path.join('generated', 'api-docs');
+const DEFAULT_COMPARISON_DIR = path.join('generated', 'api-comparisons');
+
+// Property attributes compared between the sites; kind is value, reference or collection
+const COMPARED_ATTRIBUTES = ['kind', 'type', 'required', 'canSet'];
+// Without -meta, the basic Properties only carry a type and the required flag
+const BASIC_ATTRIBUTES = ['type', 'required'];
+
+const KINDS = { values: 'value', references: 'reference', collections: 'collection' };
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+// The resources of a scraped site by name, from its index-meta.json
+async function loadSite(apiDocsDir, site) {
+    const dir = path.join(apiDocsDir, site);
+    const index = await readJson(path.join(dir, 'index-meta.json'));
+    if (!Array.isArray(index)) {
+        throw new Error(`No scraped API metadata for site ${site} in ${dir}; run the API scraper first`);
+    }
+    
+    const resources = new Map();
+    for (const resource of index) {
+        resources.set(resource.$.Name, { name: resource.$.Name, description: resource.$.Description || '', uri: resource.$.Uri || '' });
+    }
+    return { site, dir, resources };
+}
+
+// A resource's properties by name: from its -meta document when there is one (meta: true),
+// otherwise the basic Properties of the resource document, or null when neither was saved
+async function loadProperties(site, name) {
+    const fields = detailedFields(await readJson(path.join(site.dir, 'resources', `${name}-meta.json`)));
+    if (fields) {
+        const properties = new Map();
+        for (const [group, kind] of Object.entries(KINDS)) {
+            for (const field of fields[group]) {
+                properties.set(field.name, { name: field.name, kind, type: field.type, required: field.required, canSet: field.canSet });
+            }
+        }
+        return { meta: true, properties };
+    }
+    
+    const resourceData = await readJson(path.join(site.dir, 'resources', `${name}.json`));
+    const metadata = resourceData && resourceData.ResourceMetadataDescription;
+    const basic = metadata && metadata.Properties && metadata.Properties[0] && metadata.Properties[0].Property;
+    if (!Array.isArray(basic)) {
+        return null;
+    }
+    const properties = new Map();
+    for (const property of basic) {
+        properties.set(property.$.Name, { name: property.$.Name, type: property.$.Type || '', required: property.$.IsRequired === 'true' });
+    }
+    return { meta: false, properties };
+}
+
+// Properties added, removed and changed between two property maps, comparing the given attributes
+function diffProperties(fromProperties, toProperties, attributes) {
+    const diff = { added: [], removed: [], changed: [] };
+    const pick = property => Object.fromEntries(['name', ...attributes].map(attribute => [attribute, property[attribute]]));
+    
+    for (const [name, property] of toProperties) {
+        const previous = fromProperties.get(name);
+        if (!previous) {
+            diff.added.push(pick(property));
+            continue;
+        }
+        const changes = attributes
+            .filter(attribute => previous[attribute] !== property[attribute])
+            .map(attribute => ({ attribute, from: previous[attribute], to: property[attribute] }));
+        if (changes.length > 0) {
+            diff.changed.push({ name, changes });
+        }
+    }
+    for (const [name, property] of fromProperties) {
+        if (!toProperties.has(name)) {
+            diff.removed.push(pick(property));
+        }
+    }
+    return diff;
+}
+
+// Compare a resource present on both sites; notes say why its properties could not be compared,
+// and differs tells whether anything that was compared changed
+async function compareResource(from, to, name) {
+    const comparison = { name, changes: [], properties: { added: [], removed: [], changed: [] }, notes: [] };
+    const fromResource = from.resources.get(name);
+    const toResource = to.resources.get(name);
+    if (fromResource.description !== toResource.description) {
+        comparison.changes.push({ attribute: 'description', from: fromResource.description, to: toResource.description });
+    }
+    
+    const fromProperties = await loadProperties(from, name);
+    const toProperties = await loadProperties(to, name);
+    if (!fromProperties && !toProperties) {
+        // Neither site saved property metadata for this resource
+    } else if (!fromProperties || !toProperties) {
+        comparison.notes.push(`No property metadata saved on ${!fromProperties ? from.site : to.site}; properties not compared`);
+    } else if (fromProperties.meta && toProperties.meta) {
+        comparison.properties = diffProperties(fromProperties.properties, toProperties.properties, COMPARED_ATTRIBUTES);
+    } else if (!fromProperties.meta && !toProperties.meta) {
+        comparison.properties = diffProperties(fromProperties.properties, toProperties.properties, BASIC_ATTRIBUTES);
+    } else {
+        // One side has -meta and the other only basic Properties, which list different fields
+        comparison.notes.push(`-meta missing on ${!fromProperties.meta ? from.site : to.site}; properties not compared`);
+    }
+    
+    const { added, removed, changed } = comparison.properties;
+    const differs = comparison.changes.length + added.length + removed.length + changed.length > 0;
+    return { comparison, differs };
+}
+
+// Build the comparison report between two scraped sites
+async function compareSites(apiDocsDir, fromSite, toSite) {
+    const from = await loadSite(apiDocsDir, fromSite);
+    const to = await loadSite(apiDocsDir, toSite);
+    
+    const report = {
+        from: fromSite,
+        to: toSite,
+        comparedAt: new Date().toISOString(),
+        added: [...to.resources.values()].filter(resource => !from.resources.has(resource.name)),
+        removed: [...from.resources.values()].filter(resource => !to.resources.has(resource.name)),
+        changed: [],
+        // Resources on both sites whose properties could not be compared; not counted as changes
+        notCompared: []
+    };
+    
+    for (const name of to.resources.keys()) {
+        if (from.resources.has(name)) {
+            const { comparison, differs } = await compareResource(from, to, name);
+            if (differs) {
+                report.changed.push(comparison);
+            }
+            for (const note of comparison.notes) {
+                report.notCompared.push({ name, note });
+            }
+        }
+    }
+    
+    const count = key => report.changed.reduce((total, resource) => total + resource.properties[key].length, 0);
+    report.summary = {
+        resourcesAdded: report.added.length,
+        resourcesRemoved: report.removed.length,
+        resourcesChanged: report.changed.length,
+        resourcesNotCompared: report.notCompared.length,
+        propertiesAdded: count('added'),
+        propertiesRemoved: count('removed'),
+        propertiesChanged: count('changed')
+    };
+    return report;
+}
+
+function formatValue(value) {
+    return value === undefined || value === '' ? '*none*' : `\`${escapeCell(value)}\``;
+}
+
+function formatComparison(report) {
+    const { summary } = report;
+    let markdown = `# API Metadata Comparison: ${report.from} → ${report.to}\n\n`;
+    markdown += `Compared ${report.comparedAt}\n\n`;
+    markdown += `Resources: ${summary.resourcesAdded} added, ${summary.resourcesRemoved} removed, ${summary.resourcesChanged} changed, ${summary.resourcesNotCompared} not compared. `;
+    markdown += `Properties: ${summary.propertiesAdded} added, ${summary.propertiesRemoved} removed, ${summary.propertiesChanged} changed.\n\n`;
+    
+    const resourceList = resources => (resources.length > 0
+        ? resources.map(resource => `- **${resource.name}**${resource.description ? `: ${resource.description}` : ''}\n`).join('') + '\n'
+        : '*None*\n\n');
+    markdown += `## Resources Only on ${report.to} (Added)\n\n`;
+    markdown += resourceList(report.added);
+    markdown += `## Resources Only on ${report.from} (Removed)\n\n`;
+    markdown += resourceList(report.removed);
+    
+    markdown += `## Changed Resources\n\n`;
+    if (report.changed.length === 0) {
+        markdown += '*None*\n\n';
+    }
+    for (const resource of report.changed) {
+        markdown += `### ${resource.name}\n\n`;
+        for (const change of resource.changes) {
+            markdown += `- ${change.attribute} changed from ${formatValue(change.from)} to ${formatValue(change.to)}\n`;
+        }
+        if (resource.changes.length > 0) {
+            markdown += '\n';
+        }
+        
+        const { added, removed, changed } = resource.properties;
+        if (added.length + removed.length + changed.length === 0) {
+            continue;
+        }
+        markdown += `| Property | Change | ${report.from} | ${report.to} |\n`;
+        markdown += `|----------|--------|${'-'.repeat(report.from.length + 2)}|${'-'.repeat(report.to.length + 2)}|\n`;
+        const describe = property => [property.kind, property.type && `\`${property.type}\``, property.required && 'required', property.canSet === false && 'read-only']
+            .filter(Boolean).join(', ');
+        for (const property of added) {
+            markdown += `| ${escapeCell(property.name)} | added | | ${describe(property)} |\n`;
+        }
+        for (const property of removed) {
+            markdown += `| ${escapeCell(property.name)} | removed | ${describe(property)} | |\n`;
+        }
+        for (const property of changed) {
+            for (const change of property.changes) {
+                markdown += `| ${escapeCell(property.name)} | ${change.attribute} | ${formatValue(change.from)} | ${formatValue(change.to)} |\n`;
+            }
+        }
+        markdown += '\n';
+    }
+    
+    markdown += `## Properties Not Compared\n\n`;
+    markdown += report.notCompared.length > 0
+        ? report.notCompared.map(({ name, note }) => `- **${name}**: ${note}\n`).join('') + '\n'
+        : '*None*\n\n';
+    
+    return markdown;
+}
+
+// CLI interface
+async function main() {
+    const argv = yargs(hideBin(process.argv))
+        .usage('Usage: $0 <from> <to> [options]')
+        .command('$0 <from> <to>', 'Compare the scraped API metadata of two sites', command => command
+            .positional('from', { describe: 'Site to compare from, e.g. staging', type: 'string' })
+            .positional('to', { describe: 'Site to compare to, e.g. production', type: 'string' }))
+        .option('api-docs-dir', {
+            alias: 'd',
+            describe: 'Directory holding the scraped sites',
+            type: 'string',
+            default: DEFAULT_API_DOCS_DIR
+        })
+        .option('output-dir', {
+            alias: 'o',
+            describe: 'Directory to write the comparison markdown and JSON to',
+            type: 'string',
+            default: DEFAULT_COMPARISON_DIR
+        })
+        .option('fail-on-changes', {
+            describe: 'Exit with status 2 when the sites differ',
+            type: 'boolean',
+            default: false
+        })
+        .example('$0 staging production', 'Report what production has that staging lacks, and the other way around')
+        .example('$0 staging production --fail-on-changes', 'Fail a deployment pipeline on configuration drift')
+        .help()
+        .alias('help', 'h')
+        .argv;
+    
+    try {
+        const report = await compareSites(argv.apiDocsDir, argv.from, argv.to);
+        const baseName = `${argv.from}_${argv.to}`;
+        await fs.mkdir(argv.outputDir, { recursive: true });
+        await fs.writeFile(path.join(argv.outputDir, `${baseName}.json`), JSON.stringify(report, null, 2));
+        await fs.writeFile(path.join(argv.outputDir, `${baseName}.md`), formatComparison(report));
+        
+        const { summary } = report;
+        console.log(`Resources: ${summary.resourcesAdded} added, ${summary.resourcesRemoved} removed, ${summary.resourcesChanged} changed, ${summary.resourcesNotCompared} not compared`);
+        console.log(`Properties: ${summary.propertiesAdded} added, ${summary.propertiesRemoved} removed, ${summary.propertiesChanged} changed`);
+        console.log(`Comparison written to ${path.join(argv.outputDir, `${baseName}.md`)} and ${baseName}.json`);
+        
+        const differs = summary.resourcesAdded + summary.resourcesRemoved + summary.resourcesChanged > 0;
+        if (argv.failOnChanges && differs) {
+            process.exit(2);
+        }
+    } catch (error) {
+        console.error('Error comparing sites:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run main if this file is executed directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
+
+export { compareSites, formatComparison, diffProperties };
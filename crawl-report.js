@@ -0,0 +1,156 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { escapeCell } from './readme-markdown.js';
+
+// Structured crawl health report shared by the scrapers.
+// Each scraper fills one in while it runs and writes it next to its output as
+// crawl-report.json plus a crawl-report.md summary that tp-docs.js prints.
+
+const REPORT_JSON_FILE = 'crawl-report.json';
+const REPORT_MARKDOWN_FILE = 'crawl-report.md';
+
+function createCrawlReport(source) {
+    return {
+        source,
+        generatedAt: null,
+        fetched: 0,
+        // Pages or resources that returned 4xx/5xx or could not be fetched at all
+        failedPages: [],
+        // Requests that were redirected, with every hop
+        redirects: [],
+        // Pages where no article content was found
+        emptyPages: [],
+        // Links from a scraped page to a page that failed or was never scraped
+        brokenLinks: [],
+        // Pages no other scraped page links to
+        orphans: [],
+        // Resources whose detailed -meta endpoint failed
+        failedMeta: [],
+        // URLs skipped because robots.txt disallows them
+        disallowed: []
+    };
+}
+
+// Only missing content counts as a failure; redirects, empty pages, orphans and robots.txt skips are warnings
+function countFailures(report) {
+    return report.failedPages.length + report.brokenLinks.length + report.failedMeta.length;
+}
+
+function describeError(error) {
+    return {
+        statusCode: error.response ? error.response.statusCode : null,
+        error: error.message
+    };
+}
+
+function recordFetched(report, url, response) {
+    report.fetched++;
+    if (response.redirectUrls && response.redirectUrls.length > 0) {
+        const chain = [url, ...response.redirectUrls.map(String)];
+        report.redirects.push({ url, finalUrl: chain[chain.length - 1], chain });
+    }
+}
+
+function recordFailedPage(report, url, error, details = {}) {
+    report.failedPages.push({ url, ...details, ...describeError(error) });
+}
+
+function recordFailedMeta(report, resource, url, error) {
+    report.failedMeta.push({ resource, url, ...describeError(error) });
+}
+
+function recordDisallowed(report, url, reason) {
+    console.log(`Skipping ${url}: ${reason}`);
+    report.disallowed.push({ url, reason });
+}
+
+function formatCrawlSummary(report) {
+    // Reports written before robots.txt support have no disallowed list
+    const disallowed = report.disallowed || [];
+    return `${report.source}: ${report.fetched} fetched, ${report.failedPages.length} failed, ` +
+        `${report.brokenLinks.length} broken links, ${report.failedMeta.length} failed -meta fetches, ` +
+        `${report.redirects.length} redirects, ${report.emptyPages.length} empty pages, ${report.orphans.length} orphans, ` +
+        `${disallowed.length} disallowed by robots.txt`;
+}
+
+function markdownTable(headers, rows) {
+    let table = `| ${headers.join(' | ')} |\n`;
+    table += `|${headers.map(() => '---').join('|')}|\n`;
+    for (const row of rows) {
+        table += `| ${row.map(escapeCell).join(' | ')} |\n`;
+    }
+    return `${table}\n`;
+}
+
+function formatCrawlReport(report) {
+    let markdown = `# Crawl Report: ${report.source}\n\n`;
+    markdown += `Generated: ${report.generatedAt}\n\n`;
+    markdown += `${formatCrawlSummary(report)}\n\n`;
+    markdown += `Failures (failed fetches, broken links and failed -meta fetches): ${countFailures(report)}\n\n`;
+    
+    const sections = [
+        ['Failed Pages', report.failedPages, ['URL', 'Status', 'Error'],
+            item => [item.resource ? `${item.resource} (${item.url})` : item.url, item.statusCode, item.error]],
+        ['Broken Links', report.brokenLinks, ['Page', 'Links To', 'Status'],
+            item => [item.from, item.to, item.statusCode ?? 'not scraped']],
+        ['Failed -meta Fetches', report.failedMeta, ['Resource', 'URL', 'Status', 'Error'],
+            item => [item.resource, item.url, item.statusCode, item.error]],
+        ['Redirects', report.redirects, ['URL', 'Redirect Chain'],
+            item => [item.url, item.chain.join(' → ')]],
+        ['Pages Without Content', report.emptyPages, ['URL'],
+            url => [url]],
+        ['Orphan Pages', report.orphans, ['URL'],
+            url => [url]],
+        ['Disallowed by robots.txt', report.disallowed || [], ['URL', 'Reason'],
+            item => [item.url, item.reason]]
+    ];
+    
+    for (const [title, items, headers, toRow] of sections) {
+        markdown += `## ${title}\n\n`;
+        markdown += items.length > 0 ? markdownTable(headers, items.map(toRow)) : '*None*\n\n';
+    }
+    
+    return markdown;
+}
+
+// Write the report as JSON and markdown to each directory
+async function writeCrawlReport(report, dirs, generatedAt = new Date().toISOString()) {
+    report.generatedAt = generatedAt;
+    const markdown = formatCrawlReport(report);
+    
+    try {
+        for (const dir of dirs) {
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(path.join(dir, REPORT_JSON_FILE), JSON.stringify(report, null, 2));
+            await fs.writeFile(path.join(dir, REPORT_MARKDOWN_FILE), markdown);
+        }
+    } catch (error) {
+        console.error('Error writing crawl report:', error.message);
+    }
+    
+    console.log(`Crawl report: ${formatCrawlSummary(report)} (see ${path.join(dirs[0], REPORT_MARKDOWN_FILE)})`);
+    return report;
+}
+
+// Read the report a scraper left in a directory, or null if there is none
+async function readCrawlReport(dir) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(dir, REPORT_JSON_FILE), 'utf-8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+export {
+    createCrawlReport,
+    countFailures,
+    recordFetched,
+    recordFailedPage,
+    recordFailedMeta,
+    recordDisallowed,
+    formatCrawlSummary,
+    formatCrawlReport,
+    writeCrawlReport,
+    readCrawlReport,
+    REPORT_MARKDOWN_FILE
+};
@@ -0,0 +1,164 @@
+import got from 'got';
+
+// Status codes worth retrying: timeouts, throttling and transient server errors
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+// Network error codes worth retrying
+const RETRYABLE_ERROR_CODES = ['ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EADDRINUSE', 'EPIPE', 'ENOTFOUND', 'ENETUNREACH', 'EAI_AGAIN'];
+
+const DEFAULT_CRAWL_OPTIONS = {
+    concurrency: 4,
+    requestsPerSecond: 2,
+    retries: 3,
+    backoffMs: 1000,
+    maxBackoffMs: 60000,
+    timeoutMs: 30000,
+    maxDepth: Infinity,
+    maxPages: Infinity
+};
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Create a limiter that spaces request starts evenly to stay under requestsPerSecond
+function createRateLimiter(requestsPerSecond) {
+    const interval = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+    let nextSlot = 0;
+    
+    return async function waitForSlot() {
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot);
+        nextSlot = slot + interval;
+        if (slot > now) {
+            await sleep(slot - now);
+        }
+    };
+}
+
+// Parse a Retry-After header (seconds or HTTP date) into milliseconds
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+    
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(seconds * 1000, 0);
+    }
+    
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+function isRetryable(error) {
+    if (error.response) {
+        return RETRYABLE_STATUS_CODES.includes(error.response.statusCode);
+    }
+    return RETRYABLE_ERROR_CODES.includes(error.code) || error.name === 'TimeoutError';
+}
+
+// Fetch a URL with got, retrying transient failures with exponential backoff.
+// Retry-After is honored on 429/503 responses. got's own retry is disabled so
+// every attempt goes through the rate limiter. Pass an http client from
+// http-archive.js as options.http to record or replay the responses.
+async function fetchWithRetry(url, requestOptions = {}, options = {}) {
+    const { retries, backoffMs, maxBackoffMs, timeoutMs, rateLimiter, http } = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+    const request = http ? http.request : got;
+    
+    for (let attempt = 0; ; attempt++) {
+        if (rateLimiter) {
+            await rateLimiter();
+        }
+        
+        try {
+            return await request(url, {
+                timeout: { request: timeoutMs },
+                ...requestOptions,
+                retry: { limit: 0 }
+            });
+        } catch (error) {
+            if (attempt >= retries || !isRetryable(error)) {
+                throw error;
+            }
+            
+            const backoff = Math.min(backoffMs * 2 ** attempt, maxBackoffMs);
+            const retryAfter = error.response ? parseRetryAfter(error.response.headers['retry-after']) : null;
+            const delay = retryAfter !== null ? Math.min(Math.max(retryAfter, backoff), maxBackoffMs) : backoff + Math.random() * backoffMs;
+            const reason = error.response ? `HTTP ${error.response.statusCode}` : (error.code || error.message);
+            
+            console.warn(`Retrying ${url} in ${Math.round(delay)}ms (${reason}, attempt ${attempt + 1}/${retries})`);
+            await sleep(delay);
+        }
+    }
+}
+
+// Crawl from the seed URLs with a bounded number of pages in flight.
+// visit(url, depth) returns the URLs it discovered; each is queued once,
+// subject to the maxDepth and maxPages budget. The skipped counts are of distinct
+// URLs that were never crawled, however many pages link to them.
+function crawl(seeds, visit, options = {}) {
+    const { concurrency, maxDepth, maxPages } = { ...DEFAULT_CRAWL_OPTIONS, ...options };
+    const seen = new Set();
+    const queue = [];
+    const stats = { visited: 0, failed: 0, skippedByDepth: 0, skippedByBudget: 0 };
+    // Why each skipped URL was left out; a URL reached again at a lower depth may still be queued
+    const skipped = new Map();
+    let active = 0;
+    
+    return new Promise(resolve => {
+        const enqueue = (url, depth) => {
+            if (seen.has(url)) {
+                return;
+            }
+            if (depth > maxDepth) {
+                skipped.set(url, skipped.get(url) || 'depth');
+                return;
+            }
+            if (seen.size >= maxPages) {
+                skipped.set(url, 'budget');
+                return;
+            }
+            skipped.delete(url);
+            seen.add(url);
+            queue.push({ url, depth });
+        };
+        
+        const next = () => {
+            while (active < concurrency && queue.length > 0) {
+                const { url, depth } = queue.shift();
+                active++;
+                
+                visit(url, depth)
+                    .then(links => {
+                        stats.visited++;
+                        for (const link of links || []) {
+                            enqueue(link, depth + 1);
+                        }
+                    })
+                    .catch(error => {
+                        stats.failed++;
+                        console.error(`Error crawling ${url}:`, error.message);
+                    })
+                    .finally(() => {
+                        active--;
+                        next();
+                    });
+            }
+            
+            if (active === 0 && queue.length === 0) {
+                const reasons = [...skipped.values()];
+                stats.skippedByDepth = reasons.filter(reason => reason === 'depth').length;
+                stats.skippedByBudget = reasons.filter(reason => reason === 'budget').length;
+                resolve(stats);
+            }
+        };
+        
+        for (const seed of seeds) {
+            enqueue(seed, 0);
+        }
+        next();
+    });
+}
+
+export { crawl, fetchWithRetry, createRateLimiter, parseRetryAfter, sleep, DEFAULT_CRAWL_OPTIONS };
@@ -0,0 +1,179 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Credentials for private Targetprocess instances.
+// They are read from environment variables or a credentials file, never from the
+// command line, added to requests by createAuthenticatedClient() and scrubbed
+// from error messages, crawl reports and HTTP archives.
+
+const CREDENTIAL_ENV_VARS = {
+    accessToken: 'TP_ACCESS_TOKEN',
+    serviceToken: 'TP_SERVICE_TOKEN',
+    username: 'TP_USERNAME',
+    password: 'TP_PASSWORD',
+    credentialsFile: 'TP_CREDENTIALS_FILE'
+};
+
+const DEFAULT_CREDENTIALS_FILE = path.join(os.homedir(), '.tp-docs', 'credentials.json');
+
+// Query parameters Targetprocess accepts credentials in
+const CREDENTIAL_PARAMS = ['access_token', 'token'];
+// ";" catches XML-escaped separators ("&amp;token=")
+const CREDENTIAL_PARAM_REGEX = new RegExp(`([?&;](?:${CREDENTIAL_PARAMS.join('|')})=)[^&#\\s"'<]+`, 'gi');
+
+const REDACTED = 'REDACTED';
+
+// Replace credential query parameters in any text (URLs, messages) with REDACTED
+function redactCredentials(text) {
+    return String(text).replace(CREDENTIAL_PARAM_REGEX, `$1${REDACTED}`);
+}
+
+// Pick the first complete set of credentials: access token, then service token, then username and password
+function credentialsFrom(values, origin) {
+    if (values.accessToken) {
+        return { type: 'accessToken', accessToken: values.accessToken, origin };
+    }
+    if (values.serviceToken) {
+        return { type: 'serviceToken', serviceToken: values.serviceToken, origin };
+    }
+    if (values.username && values.password) {
+        return { type: 'basic', username: values.username, password: values.password, origin };
+    }
+    return null;
+}
+
+// The credentials file maps site host names to credentials, with "*" as a fallback:
+// { "yoursite.tpondemand.com": { "accessToken": "..." }, "*": { "username": "...", "password": "..." } }
+async function readCredentialsFile(file, hostname) {
+    let text;
+    try {
+        text = await fs.readFile(file, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+    
+    const { mode } = await fs.stat(file);
+    if (process.platform !== 'win32' && (mode & 0o077) !== 0) {
+        console.warn(`Warning: ${file} can be read by other users; restrict it with chmod 600`);
+    }
+    
+    const sites = JSON.parse(text);
+    return credentialsFrom(sites[hostname] || sites['*'] || {}, file);
+}
+
+// Credentials for a site from the environment, then the credentials file, or null to scrape anonymously
+async function loadCredentials(siteUrl, { credentialsFile } = {}) {
+    const fromEnv = credentialsFrom(Object.fromEntries(Object.entries(CREDENTIAL_ENV_VARS)
+        .map(([key, name]) => [key, process.env[name]])), 'environment');
+    if (fromEnv) {
+        return fromEnv;
+    }
+    
+    const file = credentialsFile || process.env[CREDENTIAL_ENV_VARS.credentialsFile] || DEFAULT_CREDENTIALS_FILE;
+    return readCredentialsFile(file, new URL(siteUrl).hostname);
+}
+
+// Refuse credentials embedded in the site URL, since it is given on the command line
+function assertNoUrlCredentials(siteUrl) {
+    const url = new URL(siteUrl);
+    if (url.username || url.password || CREDENTIAL_PARAMS.some(param => url.searchParams.has(param))) {
+        throw new Error(`Credentials can't be passed in the site URL; set ${CREDENTIAL_ENV_VARS.accessToken}, ` +
+            `${CREDENTIAL_ENV_VARS.serviceToken} or ${CREDENTIAL_ENV_VARS.username}/${CREDENTIAL_ENV_VARS.password}, or use a credentials file`);
+    }
+}
+
+function describeCredentials(credentials) {
+    const names = { accessToken: 'access token', serviceToken: 'service token', basic: `basic auth as ${credentials.username}` };
+    return `${names[credentials.type]} from ${credentials.origin}`;
+}
+
+// Copy an error from got without its request options (which hold the credentials),
+// keeping what the scrapers read: name, code, message, robots.txt reason and the response status and headers
+function sanitizeError(error, redact) {
+    const sanitized = new Error(redact(error.message));
+    sanitized.name = error.name;
+    sanitized.code = error.code;
+    if (error.reason) {
+        sanitized.reason = error.reason;
+    }
+    if (error.response) {
+        sanitized.response = {
+            url: redact(error.response.url),
+            statusCode: error.response.statusCode,
+            statusMessage: error.response.statusMessage,
+            headers: error.response.headers
+        };
+    }
+    return sanitized;
+}
+
+// A function that removes credential query parameters and the given credentials themselves
+// (raw, URI-encoded and as a Basic Authorization value) from a URL or message
+function credentialRedactor(credentials) {
+    if (!credentials) {
+        return redactCredentials;
+    }
+    
+    const secrets = [credentials.accessToken, credentials.serviceToken, credentials.password]
+        .filter(Boolean)
+        .map(secret => [secret, encodeURIComponent(secret)])
+        .flat();
+    if (credentials.type === 'basic') {
+        secrets.push(Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64'));
+    }
+    return text => secrets.reduce((result, secret) => result.split(secret).join(REDACTED), redactCredentials(text));
+}
+
+// Wrap an http client so every request carries the credentials: access and service tokens as the
+// access_token and token query parameters, username and password as a Basic Authorization header.
+// Response URLs and errors come back with the credentials removed; bodies are left as received.
+function createAuthenticatedClient(http, credentials) {
+    if (!credentials) {
+        return http;
+    }
+    
+    const redact = credentialRedactor(credentials);
+    
+    const authOptions = (url, options) => {
+        if (credentials.type === 'basic') {
+            return { ...options, username: credentials.username, password: credentials.password };
+        }
+        const param = credentials.type === 'accessToken'
+            ? { access_token: credentials.accessToken }
+            : { token: credentials.serviceToken };
+        // got's searchParams replaces the URL's query string, so carry the query over
+        const query = Object.fromEntries(new URL(url).searchParams);
+        return { ...options, searchParams: { ...query, ...options.searchParams, ...param } };
+    };
+    
+    return {
+        ...http,
+        redact,
+        async request(url, options = {}) {
+            let response;
+            try {
+                response = await http.request(url, authOptions(url, options));
+            } catch (error) {
+                throw sanitizeError(error, redact);
+            }
+            response.url = redact(response.url);
+            response.redirectUrls = (response.redirectUrls || []).map(redirect => new URL(redact(String(redirect))));
+            return response;
+        }
+    };
+}
+
+export {
+    loadCredentials,
+    createAuthenticatedClient,
+    credentialRedactor,
+    assertNoUrlCredentials,
+    describeCredentials,
+    redactCredentials,
+    CREDENTIAL_ENV_VARS,
+    DEFAULT_CREDENTIALS_FILE
+};
@@ -0,0 +1,105 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fetchAllItems } from './api-collections.js';
+import { escapeCell } from './readme-markdown.js';
+
+// Custom field definitions of a Targetprocess site, read from the CustomFields resource.
+// They are saved as custom-fields.json and documented with one page per entity type
+// in markdown/custom-fields/, which the OpenAPI generator turns into typed CustomFields entries.
+
+const CUSTOM_FIELDS_FILE = 'custom-fields.json';
+const CUSTOM_FIELD_INCLUDE = '[Id,Name,FieldType,Value,Required,EntityType[Name],Process[Name]]';
+
+// Field types whose Value lists the allowed values, one per line
+const LIST_FIELD_TYPES = ['DropDown', 'MultipleSelectionList'];
+
+// A custom field definition as stored in custom-fields.json
+function customFieldFromJson(item) {
+    const value = item.Value || '';
+    const isList = LIST_FIELD_TYPES.includes(item.FieldType);
+    return {
+        id: item.Id,
+        name: item.Name,
+        entityType: item.EntityType ? item.EntityType.Name : null,
+        fieldType: item.FieldType || 'Text',
+        allowedValues: isList ? value.split(/\r?\n/).map(option => option.trim()).filter(Boolean) : [],
+        // For other types Value holds the default value, or the formula of a calculated field
+        value: isList ? null : value || null,
+        required: item.Required === true,
+        process: item.Process ? item.Process.Name : null
+    };
+}
+
+// Fetch every custom field definition. Returns null when the site doesn't serve them
+// (the failure is in the crawl report), so the rest of the scrape goes on.
+async function fetchCustomFields(siteUrl, crawlOptions, report) {
+    console.log('Fetching custom field definitions...');
+    const items = await fetchAllItems(siteUrl, 'CustomFields', CUSTOM_FIELD_INCLUDE, crawlOptions, report);
+    if (!items) {
+        return null;
+    }
+    
+    const fields = items.map(customFieldFromJson).filter(field => field.name && field.entityType);
+    console.log(`Found ${fields.length} custom fields`);
+    return fields;
+}
+
+// Custom fields grouped by entity type name, sorted by name
+function groupByEntityType(fields) {
+    const groups = new Map();
+    for (const field of [...fields].sort((a, b) => a.entityType.localeCompare(b.entityType) || a.name.localeCompare(b.name))) {
+        if (!groups.has(field.entityType)) {
+            groups.set(field.entityType, []);
+        }
+        groups.get(field.entityType).push(field);
+    }
+    return groups;
+}
+
+function generateCustomFieldsMarkdown(entityType, fields, hasResourcePage) {
+    let markdown = `# ${entityType} Custom Fields\n\n`;
+    markdown += `Custom fields defined for ${entityType} on this site`;
+    markdown += hasResourcePage ? ` (see the [${entityType} resource](../${entityType}.md)).\n\n` : `.\n\n`;
+    markdown += `They are read and written through the \`CustomFields\` collection of each entity, as \`{ "Name": ..., "Type": ..., "Value": ... }\` entries.\n\n`;
+    
+    markdown += `| Name | Type | Allowed Values | Default / Formula | Required | Process |\n`;
+    markdown += `|------|------|----------------|-------------------|----------|---------|\n`;
+    for (const field of fields) {
+        const allowed = field.allowedValues.map(value => `\`${escapeCell(value)}\``).join(', ');
+        markdown += `| ${escapeCell(field.name)} | \`${field.fieldType}\` | ${allowed} | ${escapeCell(field.value)} | ${field.required ? '✓' : ''} | ${escapeCell(field.process) || 'All'} |\n`;
+    }
+    return `${markdown}\n`;
+}
+
+function generateCustomFieldsIndexMarkdown(groups) {
+    let markdown = `# Custom Fields\n\n`;
+    if (groups.size === 0) {
+        return `${markdown}*This site defines no custom fields*\n`;
+    }
+    markdown += `| Entity Type | Custom Fields |\n`;
+    markdown += `|-------------|---------------|\n`;
+    for (const [entityType, fields] of groups) {
+        markdown += `| [${entityType}](${entityType}.md) | ${fields.length} |\n`;
+    }
+    return markdown;
+}
+
+// Save the definitions to <dir>/custom-fields.json and write the pages to <dir>/markdown/custom-fields/.
+// resourceNames are the resources that have a page of their own to link back to.
+async function writeCustomFieldDocs(fields, dirs, resourceNames = []) {
+    const groups = groupByEntityType(fields);
+    for (const dir of dirs) {
+        const markdownDir = path.join(dir, 'markdown', 'custom-fields');
+        await fs.rm(markdownDir, { recursive: true, force: true });
+        await fs.mkdir(markdownDir, { recursive: true });
+        await fs.writeFile(path.join(dir, CUSTOM_FIELDS_FILE), JSON.stringify(fields, null, 2));
+        await fs.writeFile(path.join(markdownDir, 'index.md'), generateCustomFieldsIndexMarkdown(groups));
+        for (const [entityType, entityFields] of groups) {
+            await fs.writeFile(path.join(markdownDir, `${entityType}.md`),
+                generateCustomFieldsMarkdown(entityType, entityFields, resourceNames.includes(entityType)));
+        }
+    }
+    return groups;
+}
+
+export { fetchCustomFields, writeCustomFieldDocs, groupByEntityType, CUSTOM_FIELDS_FILE };
@@ -0,0 +1,13 @@
+import fs from 'fs/promises';
+
+// Named documentation sources that scrape.js can crawl, each with its own base URL,
+// seeds, content selectors and output folder. build-search-db.js tags every
+// document with the name of the source it came from.
+const DOC_SOURCES_FILE = 'doc-sources.json';
+const DEFAULT_SOURCE = 'dev-docs';
+
+async function loadDocSources() {
+    return JSON.parse(await fs.readFile(DOC_SOURCES_FILE, 'utf-8'));
+}
+
+export { loadDocSources, DOC_SOURCES_FILE, DEFAULT_SOURCE };
@@ -0,0 +1,101 @@
+// Minimal YAML frontmatter support for the generated markdown pages.
+// Only the subset we write is supported: scalar values and lists of scalars.
+
+const FRONTMATTER_REGEX = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/;
+
+function formatScalar(value) {
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        return String(value);
+    }
+    // JSON strings are valid YAML double-quoted scalars
+    return JSON.stringify(String(value));
+}
+
+function parseScalar(raw) {
+    const value = raw.trim();
+    if (value === '' || value === 'null' || value === '~') {
+        return null;
+    }
+    if (value === 'true' || value === 'false') {
+        return value === 'true';
+    }
+    if (/^-?\d+(\.\d+)?$/.test(value)) {
+        return Number(value);
+    }
+    if (value.startsWith('"')) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value.slice(1, -1);
+        }
+    }
+    if (value.startsWith("'") && value.endsWith("'")) {
+        return value.slice(1, -1).replace(/''/g, "'");
+    }
+    return value;
+}
+
+// Render an object as a frontmatter block followed by the markdown body
+function addFrontmatter(data, body) {
+    const lines = ['---'];
+    for (const [key, value] of Object.entries(data)) {
+        if (Array.isArray(value)) {
+            if (value.length === 0) {
+                lines.push(`${key}: []`);
+            } else {
+                lines.push(`${key}:`);
+                for (const item of value) {
+                    lines.push(`  - ${formatScalar(item)}`);
+                }
+            }
+        } else {
+            lines.push(`${key}: ${formatScalar(value)}`);
+        }
+    }
+    lines.push('---', '');
+    return `${lines.join('\n')}\n${body}`;
+}
+
+// Split a markdown file into its frontmatter data and body.
+// Files without frontmatter come back with empty data and the content unchanged.
+function parseFrontmatter(content) {
+    const match = content.match(FRONTMATTER_REGEX);
+    if (!match) {
+        return { data: {}, body: content };
+    }
+
+    const data = {};
+    let currentList = null;
+
+    for (const line of match[1].split(/\r?\n/)) {
+        const listItem = line.match(/^\s+-\s+(.*)$/);
+        if (listItem && currentList) {
+            currentList.push(parseScalar(listItem[1]));
+            continue;
+        }
+
+        const pair = line.match(/^([A-Za-z0-9_-]+):\s*(.*)$/);
+        if (!pair) {
+            continue;
+        }
+
+        const [, key, value] = pair;
+        if (value.trim() === '') {
+            currentList = [];
+            data[key] = currentList;
+        } else if (value.trim() === '[]') {
+            currentList = null;
+            data[key] = [];
+        } else {
+            currentList = null;
+            data[key] = parseScalar(value);
+        }
+    }
+
+    return { data, body: content.slice(match[0].length).replace(/^\r?\n/, '') };
+}
+
+export { addFrontmatter, parseFrontmatter };
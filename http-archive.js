@@ -0,0 +1,184 @@
+import fs from 'fs/promises';
+import path from 'path';
+import got from 'got';
+import { redactCredentials } from './credentials.js';
+
+// Record-and-replay HTTP client shared by the scrapers.
+// In record mode every response (or network error) is saved to a JSON archive
+// keyed by method and URL; in replay mode the archive answers every request and
+// the network is never touched, so a past crawl can be regenerated offline.
+
+const ARCHIVE_VERSION = 1;
+
+// Bodies with these content types are stored as readable text; anything else as base64
+const TEXT_CONTENT_TYPE_REGEX = /^(text\/|application\/([\w.+-]*\+)?(json|xml|javascript|yaml|x-yaml)\b)/i;
+
+function archiveKey(method, url) {
+    return `${method.toUpperCase()} ${url}`;
+}
+
+function headerValue(headers, name) {
+    const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+    return key ? headers[key] : undefined;
+}
+
+// Answer a conditional request from the archived response the way the server would
+function isNotModified(entry, requestHeaders) {
+    if (entry.statusCode !== 200) {
+        return false;
+    }
+    
+    const ifNoneMatch = headerValue(requestHeaders, 'if-none-match');
+    if (ifNoneMatch && entry.headers.etag) {
+        return ifNoneMatch === entry.headers.etag;
+    }
+    
+    const ifModifiedSince = Date.parse(headerValue(requestHeaders, 'if-modified-since'));
+    const lastModified = Date.parse(entry.headers['last-modified']);
+    return !Number.isNaN(ifModifiedSince) && !Number.isNaN(lastModified) && lastModified <= ifModifiedSince;
+}
+
+// Build an archive entry from a buffered got response.
+// Credentials (removed by redact) and cookies are left out so archives can be shared.
+function entryFromResponse(response, redact) {
+    const contentType = response.headers['content-type'] || '';
+    const encoding = TEXT_CONTENT_TYPE_REGEX.test(contentType) ? 'utf-8' : 'base64';
+    const { 'set-cookie': setCookie, ...headers } = response.headers;
+    return {
+        url: redact(response.url),
+        redirectUrls: response.redirectUrls.map(redirect => redact(String(redirect))),
+        statusCode: response.statusCode,
+        statusMessage: response.statusMessage,
+        headers,
+        encoding,
+        body: encoding === 'utf-8' ? redact(response.body.toString(encoding)) : response.body.toString(encoding),
+        recordedAt: new Date().toISOString()
+    };
+}
+
+// Turn an archive entry back into what got would have returned or thrown
+function replayEntry(entry, url, options) {
+    if (entry.error) {
+        throw Object.assign(new Error(entry.error.message), { name: entry.error.name, code: entry.error.code });
+    }
+    
+    const notModified = isNotModified(entry, options.headers);
+    const rawBody = notModified ? Buffer.alloc(0) : Buffer.from(entry.body, entry.encoding);
+    const response = {
+        url: entry.url || url,
+        requestUrl: new URL(url),
+        redirectUrls: (entry.redirectUrls || []).map(redirect => new URL(redirect)),
+        statusCode: notModified ? 304 : entry.statusCode,
+        statusMessage: notModified ? 'Not Modified' : entry.statusMessage,
+        headers: entry.headers,
+        rawBody,
+        body: rawBody,
+        fromArchive: true
+    };
+    
+    if (options.responseType === 'json') {
+        response.body = notModified ? '' : JSON.parse(rawBody.toString('utf-8'));
+    } else if (options.responseType !== 'buffer') {
+        response.body = rawBody.toString('utf-8');
+    }
+    
+    if (response.statusCode >= 400 && options.throwHttpErrors !== false) {
+        throw Object.assign(new Error(`Response code ${response.statusCode} (${response.statusMessage})`), {
+            name: 'HTTPError',
+            code: 'ERR_NON_2XX_3XX_RESPONSE',
+            response
+        });
+    }
+    return response;
+}
+
+async function loadArchive(file) {
+    const data = JSON.parse(await fs.readFile(file, 'utf-8'));
+    if (data.version !== ARCHIVE_VERSION) {
+        throw new Error(`Unsupported HTTP archive version ${data.version} in ${file}`);
+    }
+    return data;
+}
+
+// Open an HTTP client for a scraper run.
+// { record: file } saves every response to the archive (adding to it if it exists),
+// { replay: file } serves responses from the archive only, and neither goes straight to the network.
+// { redact } removes credentials from recorded entries; by default credential query parameters are removed.
+// The client's request(url, options) takes got options and returns a got-like response.
+async function openHttpClient({ record, replay, redact = redactCredentials } = {}) {
+    if (record && replay) {
+        throw new Error('Use either --record or --replay, not both');
+    }
+    
+    if (replay) {
+        const archive = await loadArchive(replay);
+        console.log(`Replaying ${Object.keys(archive.entries).length} archived responses from ${replay}`);
+        
+        return {
+            mode: 'replay',
+            async request(url, options = {}) {
+                const entry = archive.entries[archiveKey(options.method || 'GET', url)];
+                if (!entry) {
+                    throw Object.assign(new Error(`No archived response for ${url} in ${replay}`), { code: 'ERR_NOT_ARCHIVED' });
+                }
+                return replayEntry(entry, url, options);
+            },
+            // Timestamps written during a replay come from the recording so the output is reproducible
+            now: () => archive.recordedAt,
+            async save() {}
+        };
+    }
+    
+    if (record) {
+        const archive = await loadArchive(record).catch(() => ({ version: ARCHIVE_VERSION, entries: {} }));
+        // The whole run is stamped with its start time, which is saved as the archive's recordedAt,
+        // so a replay writes the same timestamps as the recording
+        const recordedAt = new Date().toISOString();
+        let recorded = 0;
+        
+        return {
+            mode: 'record',
+            async request(url, options = {}) {
+                const key = archiveKey(options.method || 'GET', url);
+                
+                // Always fetch the full body so the archive can answer any later conditional request
+                const headers = Object.fromEntries(Object.entries(options.headers || {})
+                    .filter(([name]) => !['if-none-match', 'if-modified-since'].includes(name.toLowerCase())));
+                
+                let response;
+                try {
+                    response = await got(url, { ...options, headers, responseType: 'buffer', throwHttpErrors: false });
+                } catch (error) {
+                    // The last outcome wins, so a retry that succeeds replaces a recorded failure
+                    archive.entries[key] = {
+                        error: { name: error.name, code: error.code, message: redact(error.message) },
+                        recordedAt: new Date().toISOString()
+                    };
+                    recorded++;
+                    throw error;
+                }
+                
+                archive.entries[key] = entryFromResponse(response, redact);
+                recorded++;
+                return replayEntry(archive.entries[key], url, options);
+            },
+            now: () => recordedAt,
+            async save() {
+                const entries = Object.fromEntries(Object.entries(archive.entries).sort(([a], [b]) => a.localeCompare(b)));
+                const data = { version: ARCHIVE_VERSION, recordedAt, entries };
+                await fs.mkdir(path.dirname(path.resolve(record)), { recursive: true });
+                await fs.writeFile(record, JSON.stringify(data, null, 2));
+                console.log(`Recorded ${recorded} responses to ${record}`);
+            }
+        };
+    }
+    
+    return {
+        mode: 'live',
+        request: (url, options = {}) => got(url, options),
+        now: () => new Date().toISOString(),
+        async save() {}
+    };
+}
+
+export { openHttpClient };
@@ -0,0 +1,85 @@
+// Read the pixel dimensions of downloaded images from their headers.
+// Supports PNG, GIF, JPEG, WebP and SVG; returns null for anything else.
+
+function pngSize(buffer) {
+    if (buffer.length < 24 || buffer.toString('ascii', 1, 4) !== 'PNG') {
+        return null;
+    }
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function gifSize(buffer) {
+    if (buffer.length < 10 || buffer.toString('ascii', 0, 3) !== 'GIF') {
+        return null;
+    }
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+}
+
+function jpegSize(buffer) {
+    if (buffer.length < 4 || buffer[0] !== 0xFF || buffer[1] !== 0xD8) {
+        return null;
+    }
+    
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xFF) {
+            return null;
+        }
+        const marker = buffer[offset + 1];
+        const length = buffer.readUInt16BE(offset + 2);
+        
+        // Start-of-frame markers carry the dimensions; C4, C8 and CC are other tables
+        if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+function webpSize(buffer) {
+    if (buffer.length < 30 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WEBP') {
+        return null;
+    }
+    
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8X') {
+        return { width: 1 + buffer.readUIntLE(24, 3), height: 1 + buffer.readUIntLE(27, 3) };
+    }
+    if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: 1 + (bits & 0x3FFF), height: 1 + ((bits >> 14) & 0x3FFF) };
+    }
+    if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+    }
+    return null;
+}
+
+function svgSize(buffer) {
+    const head = buffer.toString('utf-8', 0, Math.min(buffer.length, 4096));
+    const svgTag = head.match(/<svg\b[^>]*>/i);
+    if (!svgTag) {
+        return null;
+    }
+    
+    const width = svgTag[0].match(/\swidth=["']?([\d.]+)(px)?["'\s>]/);
+    const height = svgTag[0].match(/\sheight=["']?([\d.]+)(px)?["'\s>]/);
+    if (width && height) {
+        return { width: Math.round(Number(width[1])), height: Math.round(Number(height[1])) };
+    }
+    
+    const viewBox = svgTag[0].match(/viewBox=["']\s*[\d.-]+[\s,]+[\d.-]+[\s,]+([\d.]+)[\s,]+([\d.]+)/);
+    return viewBox ? { width: Math.round(Number(viewBox[1])), height: Math.round(Number(viewBox[2])) } : null;
+}
+
+function imageDimensions(buffer) {
+    try {
+        return pngSize(buffer) || gifSize(buffer) || jpegSize(buffer) || webpSize(buffer) || svgSize(buffer);
+    } catch (error) {
+        // Truncated or corrupt header
+        return null;
+    }
+}
+
+export { imageDimensions };
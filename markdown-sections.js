@@ -0,0 +1,73 @@
+// Split scraped markdown pages into their title and heading sections.
+// Kept free of dependencies so the snapshot tools can use it without loading the search database.
+
+// Extract sections from markdown content
+function extractSections(content) {
+    const sections = [];
+    const lines = content.split('\n');
+    let currentSection = {
+        title: '',
+        content: [],
+        level: 0,
+        parent_id: null,
+        section_path: []
+    };
+    
+    const headerRegex = /^(#{1,6})\s+(.+)$/;
+    const sectionStack = [];
+    
+    for (const line of lines) {
+        const headerMatch = line.match(headerRegex);
+        
+        if (headerMatch) {
+            // Save previous section if it exists
+            if (currentSection.content.length > 0) {
+                sections.push({
+                    ...currentSection,
+                    content: currentSection.content.join('\n'),
+                    section_path: currentSection.section_path.join(' > ')
+                });
+            }
+            
+            const level = headerMatch[1].length;
+            const title = headerMatch[2].trim();
+            
+            // Update section stack
+            while (sectionStack.length > 0 && sectionStack[sectionStack.length - 1].level >= level) {
+                sectionStack.pop();
+            }
+            
+            // Create new section
+            currentSection = {
+                title,
+                content: [],
+                level,
+                parent_id: sectionStack.length > 0 ? sectionStack[sectionStack.length - 1].title : null,
+                section_path: [...sectionStack.map(s => s.title), title]
+            };
+            
+            sectionStack.push({ title, level });
+        } else {
+            currentSection.content.push(line);
+        }
+    }
+    
+    // Add final section
+    if (currentSection.content.length > 0) {
+        sections.push({
+            ...currentSection,
+            content: currentSection.content.join('\n'),
+            section_path: currentSection.section_path.join(' > ')
+        });
+    }
+    
+    return sections;
+}
+
+// Extract title from markdown content
+function extractTitle(content) {
+    const titleMatch = content.match(/^#\s+(.+)$/m);
+    return titleMatch ? titleMatch[1].trim() : '';
+}
+
+export { extractSections, extractTitle };
@@ -1,6 +1,9 @@
 import { fileURLToPath } from 'url';
 import fs from 'fs/promises';
 import path from 'path';
+import { selectorName } from './api-v2.js';
+import { groupByEntityType, CUSTOM_FIELDS_FILE } from './custom-fields.js';
+import { detailedFields, createResourceResolver, collectionPath } from './api-metadata.js';
 
 async function generateOpenApiSpec(siteName) {
     console.log(`Generating OpenAPI specification for ${siteName}...`);
@@ -39,6 +42,9 @@ async function generateOpenApiSpec(siteName) {
             throw new Error(`Could not read index metadata for site ${siteName}: ${error.message}`);
         }
         
+        // The scraped site's own address, from the resource Uris in its index
+        const server = siteServer(indexMetadata, siteName);
+        
         // Initialize OpenAPI structure
         const openApiSpec = {
             openapi: '3.0.0',
@@ -49,13 +55,45 @@ async function generateOpenApiSpec(siteName) {
             },
             servers: [
                 {
-                    url: `https://${siteName}.tpondemand.com/api/v1`,
+                    url: server.url,
                     description: 'Target Process API v1'
                 }
             ],
             paths: {},
             components: {
-                schemas: {},
+                schemas: {
+                    Error: {
+                        type: 'object',
+                        description: 'Error returned by the API, as JSON or as an <Error> element in XML',
+                        xml: { name: 'Error' },
+                        properties: {
+                            Status: { type: 'string', description: 'HTTP status name, e.g. BadRequest or NotFound' },
+                            Message: { type: 'string', description: 'What went wrong' },
+                            Type: { type: 'string', description: 'Type of the server-side exception' },
+                            ErrorId: { type: 'string', description: 'Identifier of the error, for Targetprocess support' }
+                        }
+                    },
+                    PageLink: {
+                        type: 'string',
+                        format: 'uri',
+                        description: 'URL of a neighbouring page of the collection, with the same query parameters',
+                        xml: { attribute: true }
+                    }
+                },
+                responses: {
+                    BadRequest: {
+                        description: 'Bad request, e.g. an invalid where expression or missing required field',
+                        content: jsonAndXml({ $ref: '#/components/schemas/Error' })
+                    },
+                    Unauthorized: {
+                        description: 'Unauthorized',
+                        content: jsonAndXml({ $ref: '#/components/schemas/Error' })
+                    },
+                    NotFound: {
+                        description: 'Entity not found',
+                        content: jsonAndXml({ $ref: '#/components/schemas/Error' })
+                    }
+                },
                 securitySchemes: {
                     basicAuth: {
                         type: 'http',
@@ -76,15 +114,30 @@ async function generateOpenApiSpec(siteName) {
             ]
         };
         
+        // The site's custom fields, read up front since they are also fields queries can include
+        const customFieldsPath = path.join(useGeneratedPath ? generatedSiteDir : siteDir, CUSTOM_FIELDS_FILE);
+        let customFields = null;
+        try {
+            customFields = JSON.parse(await fs.readFile(customFieldsPath, 'utf-8'));
+        } catch (error) {
+            console.log(`No custom field definitions found for site ${siteName}, skipping CustomFields`);
+        }
+        const customFieldGroups = groupByEntityType(customFields || []);
+        
         // Process each resource
         console.log(`Processing ${indexMetadata.length} resources for OpenAPI specification...`);
+        const resolve = createResourceResolver(indexMetadata);
+        // The fields each resource can be queried by, for the query parameters of the nested collection endpoints
+        const queryFields = new Map();
+        // Resource data and -meta are read only from the site being generated
+        const metaDir = useGeneratedPath ? generatedResourcesDir : resourcesDir;
         
         for (const resource of indexMetadata) {
             const resourceName = resource.$.Name;
             
             try {
                 // Read resource metadata
-                const resourceDataPath = path.join(resourcesDir, `${resourceName}.json`);
+                const resourceDataPath = path.join(metaDir, `${resourceName}.json`);
                 let resourceData;
                 
                 try {
@@ -97,13 +150,50 @@ async function generateOpenApiSpec(siteName) {
                 }
                 
                 // Process resource into OpenAPI components
-                await processResourceForOpenApi(resourceData, resourceName, openApiSpec, resource.$.Description);
+                queryFields.set(resourceName, await processResourceForOpenApi(resourceData, resourceName, openApiSpec, resource.$.Description,
+                    resourcePath(resource, server), metaDir, resolve, customFieldGroups.has(resourceName)));
                 
             } catch (error) {
                 console.error(`Error processing ${resourceName} for OpenAPI:`, error.message);
             }
         }
         
+        // Nested endpoints for each resource's collections, e.g. /UserStories/{id}/Tasks,
+        // added once every schema exists so the items can refer to them
+        for (const resource of indexMetadata) {
+            const resourceName = resource.$.Name;
+            if (!openApiSpec.components.schemas[`${resourceName}Read`]) {
+                continue;
+            }
+            let fields = null;
+            try {
+                fields = detailedFields(JSON.parse(await fs.readFile(path.join(metaDir, `${resourceName}-meta.json`), 'utf-8')));
+            } catch (error) {
+                // Without -meta the collections are unknown
+            }
+            if (fields) {
+                addCollectionPaths(resourceName, resourcePath(resource, server), fields.collections, resolve, openApiSpec, queryFields);
+            }
+        }
+        
+        // Add the site's custom fields to the schemas of their entity types
+        if (customFields) {
+            console.log(`Processing ${customFields.length} custom fields for OpenAPI specification...`);
+            addCustomFields(customFields, openApiSpec);
+        }
+        
+        // Add API v2 query paths when the scraper wrote v2 entity metadata
+        const v2EntitiesPath = path.join(useGeneratedPath ? generatedSiteDir : siteDir, 'v2', 'entities.json');
+        try {
+            const v2Entities = JSON.parse(await fs.readFile(v2EntitiesPath, 'utf-8'));
+            console.log(`Processing ${v2Entities.length} API v2 entities for OpenAPI specification...`);
+            for (const entity of v2Entities) {
+                addV2Paths(entity, server, openApiSpec);
+            }
+        } catch (error) {
+            console.log(`No API v2 entity metadata found for site ${siteName}, skipping v2 paths`);
+        }
+        
         // Save OpenAPI specification to both locations
         const openApiJson = JSON.stringify(openApiSpec, null, 2);
         await fs.writeFile(
@@ -135,101 +225,159 @@ async function generateOpenApiSpec(siteName) {
     }
 }
 
-async function processResourceForOpenApi(resourceData, resourceName, openApiSpec, description) {
-    // Add schema component
-    const properties = await extractProperties(resourceData, resourceName);
-    
-    // Determine which properties are required
-    const requiredProperties = [];
-    for (const [propName, propDef] of Object.entries(properties)) {
-        if (propDef.required === true) {
-            requiredProperties.push(propName);
-            // Remove the required flag from the property definition as it's moved to the schema level
-            delete propDef.required;
+// The base URL of the scraped site's v1 API, taken from the resource Uris in its index;
+// sites scraped without Uris fall back to the usual tpondemand.com address
+function siteServer(indexMetadata, siteName) {
+    const resource = indexMetadata.find(item => item.$ && item.$.Uri);
+    if (resource) {
+        const uri = new URL(resource.$.Uri);
+        const match = collectionPath(resource.$.Uri).match(/^(.*\/api\/v1)(?:\/|$)/i);
+        const basePath = match ? match[1] : '/api/v1';
+        return { origin: uri.origin, basePath, url: `${uri.origin}${basePath}` };
+    }
+    const origin = `https://${siteName}.tpondemand.com`;
+    return { origin, basePath: '/api/v1', url: `${origin}/api/v1` };
+}
+
+// A resource's collection path relative to the server, e.g. /UserStories
+function resourcePath(resource, server) {
+    if (!resource.$.Uri) {
+        return `/${resource.$.Name}`;
+    }
+    const fullPath = collectionPath(resource.$.Uri);
+    return fullPath.toLowerCase().startsWith(server.basePath.toLowerCase()) ? fullPath.slice(server.basePath.length) || '/' : fullPath;
+}
+
+// The name of the lightweight schema for references to an entity type (ProjectReference),
+// added to the components the first time it is needed
+function referenceSchemaName(entityType, openApiSpec) {
+    const name = `${entityType.replace(/[^\w.-]/g, '')}Reference`;
+    if (!openApiSpec.components.schemas[name]) {
+        openApiSpec.components.schemas[name] = {
+            type: 'object',
+            description: `Reference to a ${entityType}, as returned inside other entities`,
+            required: ['Id'],
+            properties: {
+                ResourceType: { type: 'string', enum: [entityType] },
+                Id: { type: 'integer', format: 'int32', description: `ID of the ${entityType}` },
+                Name: { type: 'string', description: `Name of the ${entityType}` }
+            }
+        };
+    }
+    return name;
+}
+
+// The same body as JSON and XML; API v1 answers in XML when asked for format=xml
+function jsonAndXml(schema) {
+    return {
+        'application/json': { schema },
+        'application/xml': { schema }
+    };
+}
+
+// A page of a v1 collection: the Items, and the Next and Prev URLs when there are more pages.
+// In XML the page is the collection element, <UserStories Next="..."><UserStory>...</UserStory></UserStories>.
+function pageSchema(items, itemName, collectionName) {
+    return {
+        type: 'object',
+        description: `A page of ${collectionName}; follow Next for the rest`,
+        xml: { name: collectionName },
+        required: ['Items'],
+        properties: {
+            Items: { type: 'array', items, xml: { name: itemName } },
+            Next: { $ref: '#/components/schemas/PageLink' },
+            Prev: { $ref: '#/components/schemas/PageLink' }
         }
+    };
+}
+
+// The name of the page schema for a resource's collection (UserStoryPage),
+// added to the components the first time it is needed
+function pageSchemaName(resourceName, collectionName, openApiSpec) {
+    const name = `${resourceName}Page`;
+    if (!openApiSpec.components.schemas[name]) {
+        openApiSpec.components.schemas[name] = pageSchema({ $ref: `#/components/schemas/${resourceName}Read` }, resourceName, collectionName);
     }
+    return name;
+}
+
+// metaDir is the resources directory of the site, holding the resource's -meta;
+// hasCustomFields tells whether the site defines custom fields for the resource, which queries can include.
+// Returns the fields the resource can be queried by.
+async function processResourceForOpenApi(resourceData, resourceName, openApiSpec, description, basePath, metaDir, resolve = () => null, hasCustomFields = false) {
+    // Add schema component; references and collections point at the reference schema of their entity type
+    const referenceTo = type => ({ $ref: `#/components/schemas/${referenceSchemaName(resolve(type) || type, openApiSpec)}` });
+    const properties = await extractProperties(resourceData, resourceName, referenceTo, metaDir);
     
-    openApiSpec.components.schemas[resourceName] = {
-        type: 'object',
-        description: description || `${resourceName} entity`,
-        properties: properties
+    // Build a schema from the properties a filter accepts, given each property's flags:
+    // required, and canGet/canSet (plus canAdd/canRemove for collections) from -meta.
+    // Without -meta the flags are unknown, so a property counts as readable and settable.
+    const buildSchema = (schemaDescription, include, isRequired) => {
+        const schema = { type: 'object', description: schemaDescription, xml: { name: resourceName }, properties: {} };
+        const requiredProperties = [];
+        for (const [propName, { required, access, ...propDef }] of Object.entries(properties)) {
+            const flags = { required: required === true, canGet: true, canSet: true, canAdd: false, canRemove: false, ...access };
+            if (!include(flags)) {
+                continue;
+            }
+            schema.properties[propName] = propDef;
+            if (isRequired(flags)) {
+                requiredProperties.push(propName);
+            }
+        }
+        if (requiredProperties.length > 0) {
+            schema.required = requiredProperties;
+        }
+        return schema;
     };
     
-    // Add required properties if any exist
-    if (requiredProperties.length > 0) {
-        openApiSpec.components.schemas[resourceName].required = requiredProperties;
-    }
+    const entityDescription = description || `${resourceName} entity`;
+    // Responses: every readable field; which ones come back depends on include, so none is required
+    openApiSpec.components.schemas[`${resourceName}Read`] = buildSchema(
+        `${entityDescription} (as returned by the API)`,
+        flags => flags.canGet,
+        () => false
+    );
+    // Create: settable fields and collections that can be added to; required fields must be sent
+    openApiSpec.components.schemas[`${resourceName}Create`] = buildSchema(
+        `${entityDescription} (fields accepted when creating)`,
+        flags => flags.canSet || flags.canAdd,
+        flags => flags.required && flags.canSet
+    );
+    // Update: the same fields, all optional since only the ones sent change
+    openApiSpec.components.schemas[`${resourceName}Update`] = buildSchema(
+        `${entityDescription} (fields accepted when updating)`,
+        flags => flags.canSet || flags.canAdd,
+        () => false
+    );
     
-    // Add paths for standard operations
-    addResourcePaths(resourceName, openApiSpec, properties);
+    // Add paths for standard operations; CustomFields is added to the schemas later but can already be included.
+    // Without any known fields the query parameters stay free-form.
+    const queryable = hasCustomFields && Object.keys(properties).length > 0
+        ? { ...properties, CustomFields: { type: 'array', access: { canGet: true, canSet: true, canAdd: false, canRemove: false } } }
+        : properties;
+    addResourcePaths(resourceName, basePath, openApiSpec, queryable);
+    return queryable;
 }
 
-async function extractProperties(resourceData, resourceName) {
-    // This function extracts property definitions from the resource metadata
+async function extractProperties(resourceData, resourceName, referenceTo, metaDir) {
+    // This function extracts property definitions from the resource metadata;
+    // referenceTo(type) returns the $ref for references to an entity type,
+    // and metaDir is the resources directory of the site being generated
     const properties = {};
     
     try {
-        // Get the site name from the current working directory structure
-        const currentDir = process.cwd();
-        const siteDir = path.join('api-docs');
-        const generatedSiteDir = path.join('generated/api-docs');
-        
-        // Find all site directories
-        const siteDirs = [];
+        // Detailed metadata (-meta) of the site being generated; without it, fall back to the basic metadata
+        let detailedMetadata = null;
         try {
-            const sites = await fs.readdir(siteDir);
-            for (const site of sites) {
-                const sitePath = path.join(siteDir, site);
-                const stats = await fs.stat(sitePath);
-                if (stats.isDirectory()) {
-                    siteDirs.push({ name: site, path: sitePath });
-                }
-            }
+            detailedMetadata = JSON.parse(
+                await fs.readFile(path.join(metaDir, `${resourceName}-meta.json`), 'utf-8')
+            );
         } catch (error) {
-            console.warn(`Could not read site directories: ${error.message}`);
-        }
-        
-        // Find the site directory that contains the resource metadata
-        let siteName = null;
-        for (const site of siteDirs) {
-            const resourcePath = path.join(site.path, 'resources', `${resourceName}.json`);
-            try {
-                await fs.access(resourcePath);
-                siteName = site.name;
-                break;
-            } catch (error) {
-                // Resource not found in this site, continue
-            }
+            console.warn(`Detailed metadata not found for ${resourceName}, falling back to basic metadata`);
         }
         
-        if (!siteName) {
-            console.warn(`Could not determine site name for resource ${resourceName}`);
-            // Fall back to basic metadata
-        } else {
-            // First try to load the detailed metadata file
-            const detailedMetadataPath = path.join(siteDir, siteName, 'resources', `${resourceName}-meta.json`);
-            const generatedDetailedMetadataPath = path.join(generatedSiteDir, siteName, 'resources', `${resourceName}-meta.json`);
-            
-            let detailedMetadata = null;
-            
-            try {
-                // Try to read from the legacy path first
-                detailedMetadata = JSON.parse(
-                    await fs.readFile(detailedMetadataPath, 'utf-8')
-                );
-            } catch (error) {
-                try {
-                    // If that fails, try the generated path
-                    detailedMetadata = JSON.parse(
-                        await fs.readFile(generatedDetailedMetadataPath, 'utf-8')
-                    );
-                } catch (error2) {
-                    // If both fail, we'll fall back to the basic metadata
-                    console.warn(`Detailed metadata not found for ${resourceName}, falling back to basic metadata`);
-                }
-            }
-            
-            if (detailedMetadata && detailedMetadata.ResourceMetadataDescription) {
+        if (detailedMetadata && detailedMetadata.ResourceMetadataDescription) {
             // Process detailed metadata
             const metadata = detailedMetadata.ResourceMetadataDescription;
             
@@ -255,7 +403,7 @@ async function extractProperties(resourceData, resourceName) {
                             type: type.type,
                             description: description,
                             required: isRequired,
-                            readOnly: !canSet && canGet,
+                            access: { canGet, canSet },
                             deprecated: isDeprecated
                         };
                         
@@ -285,19 +433,17 @@ async function extractProperties(resourceData, resourceName) {
                         const canGet = prop.$.CanGet === 'true';
                         const isDeprecated = prop.$.IsDeprecated === 'true';
                         
+                        // $ref can't have siblings in OpenAPI 3.0, so it is wrapped in oneOf; nullable
+                        // is only honored next to a type, and an unset reference comes back as null
+                        // unless the field is required
                         properties[name] = {
                             type: 'object',
-                            description: `${description} (Reference to ${refType})`,
+                            oneOf: [referenceTo(refType)],
+                            description: description ? `${description} (Reference to ${refType})` : `Reference to ${refType}`,
+                            nullable: !isRequired,
                             required: isRequired,
-                            readOnly: !canSet && canGet,
-                            deprecated: isDeprecated,
-                            properties: {
-                                id: {
-                                    type: 'integer',
-                                    format: 'int32',
-                                    description: `ID of the referenced ${refType}`
-                                }
-                            }
+                            access: { canGet, canSet },
+                            deprecated: isDeprecated
                         };
                     }
                 }
@@ -323,22 +469,14 @@ async function extractProperties(resourceData, resourceName) {
                         const canAdd = prop.$.CanAdd === 'true';
                         const canRemove = prop.$.CanRemove === 'true';
                         
+                        // An empty collection is an empty array, never null
                         properties[name] = {
                             type: 'array',
-                            description: `${description} (Collection of ${collType})`,
+                            description: `${description ? `${description} ` : ''}(Collection of ${collType}${canRemove ? '; items can be removed' : ''})`,
                             required: isRequired,
-                            readOnly: !canSet && canGet,
+                            access: { canGet, canSet, canAdd, canRemove },
                             deprecated: isDeprecated,
-                            items: {
-                                type: 'object',
-                                properties: {
-                                    id: {
-                                        type: 'integer',
-                                        format: 'int32',
-                                        description: `ID of the ${collType} item`
-                                    }
-                                }
-                            }
+                            items: referenceTo(collType)
                         };
                     }
                 }
@@ -374,7 +512,6 @@ async function extractProperties(resourceData, resourceName) {
                 }
             }
         }
-        }
     } catch (error) {
         console.error(`Error extracting properties for ${resourceName}:`, error.message);
     }
@@ -409,10 +546,96 @@ function mapType(tpType) {
     }
 }
 
-function addResourcePaths(resourceName, openApiSpec, properties) {
-    // Add standard CRUD paths for the resource
-    const basePath = `/${resourceName}s`;
-    const pluralName = `${resourceName}s`;
+// The where operators of API v1, for the parameter descriptions
+const WHERE_GRAMMAR = [
+    'Conditions are `(Field operator value)` joined with `and`; `or` is not supported.',
+    'Operators: `eq`, `ne`, `gt`, `gte`, `lt`, `lte`, `contains`, `not contains`, `in`, `not in`, `is null`, `is not null`.',
+    'Strings and dates are single-quoted (`\'2024-01-31\'`), numbers and booleans are not, and `in` takes a list: `in (1,2,3)` or `in (\'Open\',\'Done\')`.',
+    'Reference fields are filtered through their fields, e.g. `Project.Id eq 1` or `EntityState.Name eq \'Open\'`.',
+    'Dates are quoted in `yyyy-MM-dd` form (`CreateDate gt \'2024-01-01\'`), and the quoted literal `\'Today\'` stands for the current date (`EndDate lt \'Today\'`).',
+    'Date arithmetic such as `Today.AddDays(-7)` is not part of API v1; compute the date and pass it as a literal.'
+].join(' ');
+
+// Parameters for querying a resource's collection with where, include, orderBy and orderByDesc,
+// listing the resource's own fields and giving examples built from them.
+// properties are the extracted property definitions, with their required and access flags.
+function queryParameters(properties) {
+    const readable = Object.entries(properties).filter(([, property]) => !property.access || property.access.canGet);
+    const values = readable.filter(([, property]) => !property.oneOf && property.type !== 'array').map(([name, property]) => ({ name, ...property }));
+    const references = readable.filter(([, property]) => property.oneOf).map(([name]) => name);
+    const includable = readable.map(([name]) => name);
+    
+    // Example conditions from the first fields of each kind
+    const text = values.find(field => field.type === 'string' && !field.format);
+    const number = values.find(field => field.type === 'integer' || field.type === 'number');
+    const date = values.find(field => field.format === 'date-time' || field.format === 'date');
+    const whereExamples = {};
+    if (text) {
+        whereExamples.contains = { summary: `${text.name} contains a word`, value: `(${text.name} contains 'api')` };
+    }
+    if (number) {
+        whereExamples.in = { summary: `${number.name} is one of several values`, value: `(${number.name} in (1,2,3))` };
+    }
+    if (date) {
+        whereExamples.date = { summary: `${date.name} after a date`, value: `(${date.name} gt '2024-01-01')` };
+        whereExamples.today = { summary: `${date.name} before the current date`, value: `(${date.name} lt 'Today')` };
+    }
+    if (references.length > 0) {
+        const conditions = [`(${references[0]}.Id eq 1)`, ...(text ? [`(${text.name} is not null)`] : [])];
+        whereExamples.reference = { summary: `${references[0]} is a given entity`, value: conditions.join(' and ') };
+    }
+    
+    const escape = names => names.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    
+    // where=(Field operator value) and ...; reference fields are filtered through one of their own fields
+    const whereFields = [
+        ...(values.length > 0 ? [`(?:${escape(values.map(field => field.name))})`] : []),
+        ...(references.length > 0 ? [`(?:${escape(references)})(?:\\.\\w+)+`] : [])
+    ].join('|');
+    const whereValue = `(?:'[^']*'|[^\\s()',]+)`;
+    const whereTerm = `(?:${whereFields})\\s+(?:(?:eq|ne|gte?|lte?|(?:not\\s+)?contains)\\s+${whereValue}|(?:not\\s+)?in\\s*\\(${whereValue}(?:\\s*,\\s*${whereValue})*\\)|is\\s+(?:not\\s+)?null)`;
+    const whereCondition = `(?:\\(\\s*${whereTerm}\\s*\\)|${whereTerm})`;
+    
+    // include=[Field,Reference[Field,...],...]; one level of nested brackets is allowed
+    const escaped = escape(includable);
+    const includeField = `(?:${escaped})(?:\\[[^\\[\\]]*(?:\\[[^\\[\\]]*\\][^\\[\\]]*)*\\])?`;
+    const includeExample = [
+        ...values.slice(0, 2).map(field => field.name),
+        ...references.slice(0, 1).map(name => `${name}[Id,Name]`)
+    ];
+    
+    const sortable = values.map(field => field.name);
+    const orderParameter = (name, direction) => ({
+        name,
+        in: 'query',
+        description: `Field to sort by, ${direction}`,
+        schema: sortable.length > 0 ? { type: 'string', enum: sortable } : { type: 'string' }
+    });
+    
+    return [
+        {
+            name: 'where',
+            in: 'query',
+            description: `Filter expression. ${WHERE_GRAMMAR}${values.length + references.length > 0 ? ` Fields: ${[...values.map(field => field.name), ...references.map(name => `${name}.Id`)].join(', ')}.` : ''}`,
+            schema: whereFields ? { type: 'string', pattern: `^${whereCondition}(?:\\s+and\\s+${whereCondition})*$` } : { type: 'string' },
+            ...(Object.keys(whereExamples).length > 0 ? { examples: whereExamples } : {})
+        },
+        {
+            name: 'include',
+            in: 'query',
+            description: `Fields to return, in brackets; references take their own field list.${includable.length > 0 ? ` Fields: ${includable.join(', ')}.` : ''}`,
+            schema: includable.length > 0 ? { type: 'string', pattern: `^\\[${includeField}(?:,${includeField})*\\]$` } : { type: 'string' },
+            ...(includeExample.length > 0 ? { example: `[${includeExample.join(',')}]` } : {})
+        },
+        orderParameter('orderBy', 'ascending'),
+        orderParameter('orderByDesc', 'descending')
+    ];
+}
+
+function addResourcePaths(resourceName, basePath, openApiSpec, properties = {}) {
+    // Add standard CRUD paths for the resource at its collection path
+    const pluralName = basePath.split('/').filter(Boolean).pop() || resourceName;
+    const [whereParameter, includeParameter, orderByParameter, orderByDescParameter] = queryParameters(properties);
     
     // GET collection
     openApiSpec.paths[basePath] = {
@@ -434,49 +657,24 @@ function addResourcePaths(resourceName, openApiSpec, properties) {
                     description: 'Number of items to skip',
                     schema: { type: 'integer', default: 0 }
                 },
-                {
-                    name: 'orderBy',
-                    in: 'query',
-                    description: 'Property to order by',
-                    schema: { type: 'string' }
-                },
-                {
-                    name: 'where',
-                    in: 'query',
-                    description: 'Filter condition',
-                    schema: { type: 'string' }
-                },
+                orderByParameter,
+                orderByDescParameter,
+                whereParameter,
                 {
                     name: 'format',
                     in: 'query',
                     description: 'Response format (json or xml)',
                     schema: { type: 'string', enum: ['json', 'xml'], default: 'json' }
                 },
-                {
-                    name: 'include',
-                    in: 'query',
-                    description: 'Related entities to include',
-                    schema: { type: 'string' }
-                }
+                includeParameter
             ],
             responses: {
                 '200': {
-                    description: `Array of ${resourceName} items`,
-                    content: {
-                        'application/json': {
-                            schema: {
-                                type: 'array',
-                                items: { $ref: `#/components/schemas/${resourceName}` }
-                            }
-                        }
-                    }
-                },
-                '400': {
-                    description: 'Bad request'
+                    description: `Page of ${resourceName} items`,
+                    content: jsonAndXml({ $ref: `#/components/schemas/${pageSchemaName(resourceName, pluralName, openApiSpec)}` })
                 },
-                '401': {
-                    description: 'Unauthorized'
-                }
+                '400': { $ref: '#/components/responses/BadRequest' },
+                '401': { $ref: '#/components/responses/Unauthorized' }
             }
         }
     };
@@ -502,28 +700,15 @@ function addResourcePaths(resourceName, openApiSpec, properties) {
                     description: 'Response format (json or xml)',
                     schema: { type: 'string', enum: ['json', 'xml'], default: 'json' }
                 },
-                {
-                    name: 'include',
-                    in: 'query',
-                    description: 'Related entities to include',
-                    schema: { type: 'string' }
-                }
+                includeParameter
             ],
             responses: {
                 '200': {
                     description: `${resourceName} found`,
-                    content: {
-                        'application/json': {
-                            schema: { $ref: `#/components/schemas/${resourceName}` }
-                        }
-                    }
-                },
-                '404': {
-                    description: `${resourceName} not found`
+                    content: jsonAndXml({ $ref: `#/components/schemas/${resourceName}Read` })
                 },
-                '401': {
-                    description: 'Unauthorized'
-                }
+                '404': { $ref: '#/components/responses/NotFound' },
+                '401': { $ref: '#/components/responses/Unauthorized' }
             }
         }
     };
@@ -537,27 +722,15 @@ function addResourcePaths(resourceName, openApiSpec, properties) {
         requestBody: {
             description: `${resourceName} object to be created`,
             required: true,
-            content: {
-                'application/json': {
-                    schema: { $ref: `#/components/schemas/${resourceName}` }
-                }
-            }
+            content: jsonAndXml({ $ref: `#/components/schemas/${resourceName}Create` })
         },
         responses: {
             '201': {
                 description: `${resourceName} created successfully`,
-                content: {
-                    'application/json': {
-                        schema: { $ref: `#/components/schemas/${resourceName}` }
-                    }
-                }
-            },
-            '400': {
-                description: 'Bad request'
+                content: jsonAndXml({ $ref: `#/components/schemas/${resourceName}Read` })
             },
-            '401': {
-                description: 'Unauthorized'
-            }
+            '400': { $ref: '#/components/responses/BadRequest' },
+            '401': { $ref: '#/components/responses/Unauthorized' }
         }
     };
     
@@ -579,30 +752,16 @@ function addResourcePaths(resourceName, openApiSpec, properties) {
         requestBody: {
             description: `Updated ${resourceName} object`,
             required: true,
-            content: {
-                'application/json': {
-                    schema: { $ref: `#/components/schemas/${resourceName}` }
-                }
-            }
+            content: jsonAndXml({ $ref: `#/components/schemas/${resourceName}Update` })
         },
         responses: {
             '200': {
                 description: `${resourceName} updated successfully`,
-                content: {
-                    'application/json': {
-                        schema: { $ref: `#/components/schemas/${resourceName}` }
-                    }
-                }
-            },
-            '400': {
-                description: 'Bad request'
+                content: jsonAndXml({ $ref: `#/components/schemas/${resourceName}Read` })
             },
-            '404': {
-                description: `${resourceName} not found`
-            },
-            '401': {
-                description: 'Unauthorized'
-            }
+            '400': { $ref: '#/components/responses/BadRequest' },
+            '404': { $ref: '#/components/responses/NotFound' },
+            '401': { $ref: '#/components/responses/Unauthorized' }
         }
     };
     
@@ -625,11 +784,282 @@ function addResourcePaths(resourceName, openApiSpec, properties) {
             '204': {
                 description: `${resourceName} deleted successfully`
             },
-            '404': {
-                description: `${resourceName} not found`
-            },
-            '401': {
-                description: 'Unauthorized'
+            '404': { $ref: '#/components/responses/NotFound' },
+            '401': { $ref: '#/components/responses/Unauthorized' }
+        }
+    };
+}
+
+// GET endpoints for the collections of a resource's entities, e.g. /UserStories/{id}/Tasks.
+// queryFields maps resource names to the fields they can be queried by, as returned by processResourceForOpenApi.
+function addCollectionPaths(resourceName, basePath, collections, resolve, openApiSpec, queryFields = new Map()) {
+    for (const collection of collections.filter(field => field.canGet)) {
+        const itemType = resolve(collection.type);
+        // The items are queried with the fields of their own resource
+        const [whereParameter, includeParameter, orderByParameter, orderByDescParameter] = queryParameters(queryFields.get(itemType) || {});
+        const page = itemType && openApiSpec.components.schemas[`${itemType}Read`]
+            ? { $ref: `#/components/schemas/${pageSchemaName(itemType, collection.name, openApiSpec)}` }
+            : pageSchema({ type: 'object', properties: { Id: { type: 'integer', format: 'int32' } } }, collection.type, collection.name);
+        
+        openApiSpec.paths[`${basePath}/{id}/${collection.name}`] = {
+            get: {
+                summary: `Get the ${collection.name} of a ${resourceName}`,
+                description: collection.description || `Retrieves the ${collection.name} collection of a specific ${resourceName}`,
+                operationId: `get${resourceName}${collection.name}`,
+                tags: [resourceName],
+                parameters: [
+                    {
+                        name: 'id',
+                        in: 'path',
+                        required: true,
+                        description: `ID of the ${resourceName}`,
+                        schema: { type: 'integer' }
+                    },
+                    {
+                        name: 'take',
+                        in: 'query',
+                        description: 'Number of items to return',
+                        schema: { type: 'integer', default: 100 }
+                    },
+                    {
+                        name: 'skip',
+                        in: 'query',
+                        description: 'Number of items to skip',
+                        schema: { type: 'integer', default: 0 }
+                    },
+                    orderByParameter,
+                    orderByDescParameter,
+                    whereParameter,
+                    includeParameter
+                ],
+                responses: {
+                    '200': {
+                        description: `Page of ${collection.type} items`,
+                        content: jsonAndXml(page)
+                    },
+                    '404': { $ref: '#/components/responses/NotFound' },
+                    '401': { $ref: '#/components/responses/Unauthorized' }
+                }
+            }
+        };
+    }
+}
+
+// The type of a custom field's Value, by Targetprocess custom field type
+function customFieldValueSchema(field) {
+    switch (field.fieldType) {
+        case 'Number':
+        case 'Money':
+            return { type: 'number', nullable: true };
+        case 'CheckBox':
+            return { type: 'boolean' };
+        case 'Date':
+            return { type: 'string', format: 'date-time', nullable: true };
+        case 'URL':
+            return { type: 'string', format: 'uri', nullable: true };
+        case 'DropDown':
+            return { type: 'string', enum: [...field.allowedValues, null], nullable: true };
+        case 'MultipleSelectionList':
+            return { type: 'string', nullable: true, description: `Comma-separated values from: ${field.allowedValues.join(', ')}` };
+        case 'Entity':
+            return {
+                type: 'object',
+                nullable: true,
+                properties: {
+                    Id: { type: 'integer', format: 'int32' },
+                    Name: { type: 'string' },
+                    Kind: { type: 'string' }
+                }
+            };
+        default:
+            return { type: 'string', nullable: true };
+    }
+}
+
+// A typed CustomFields array on the read, create and update schemas of each entity type with
+// custom fields: one { Name, Type, Value } entry variant per field, told apart by Name.
+// Calculated fields can't be written, so only the read schema has them.
+function addCustomFields(customFields, openApiSpec) {
+    for (const [entityType, fields] of groupByEntityType(customFields)) {
+        if (!openApiSpec.components.schemas[`${entityType}Read`]) {
+            continue;
+        }
+        
+        // The same field name can be defined once per process; keep one entry per name
+        const byName = new Map(fields.map(field => [field.name, field]));
+        const entries = [...byName.values()].map(field => ({
+            type: 'object',
+            title: field.name,
+            description: [
+                `${field.fieldType} custom field`,
+                field.required ? 'required' : null,
+                field.process ? `in process ${field.process}` : null,
+                field.fieldType === 'CalculatedField' && field.value ? `calculated as ${field.value}` : null
+            ].filter(Boolean).join(', '),
+            required: ['Name', 'Value'],
+            properties: {
+                Name: { type: 'string', enum: [field.name] },
+                Type: { type: 'string', enum: [field.fieldType] },
+                Value: customFieldValueSchema(field)
+            }
+        }));
+        
+        const writable = entries.filter(entry => byName.get(entry.title).fieldType !== 'CalculatedField');
+        for (const [suffix, schemaEntries] of [['Read', entries], ['Create', writable], ['Update', writable]]) {
+            if (schemaEntries.length > 0) {
+                openApiSpec.components.schemas[`${entityType}${suffix}`].properties.CustomFields = {
+                    type: 'array',
+                    description: `Custom fields of ${entityType}: ${schemaEntries.map(entry => entry.title).join(', ')}`,
+                    items: { oneOf: schemaEntries }
+                };
+            }
+        }
+    }
+}
+
+function addV2Paths(entity, server, openApiSpec) {
+    // v2 lives beside v1, so its paths carry their own server
+    const servers = [
+        {
+            url: `${server.origin}${server.basePath.replace(/\/v1$/i, '')}`,
+            description: 'Target Process API v2'
+        }
+    ];
+    const basePath = `/v2/${entity.collection}`;
+    const tag = `${entity.name} (v2)`;
+    const schemaName = `${entity.name}V2`;
+    
+    // JSON-only counterparts of the shared error responses, since v2 doesn't answer in XML
+    const errorResponse = name => {
+        openApiSpec.components.responses[`${name}V2`] = {
+            description: openApiSpec.components.responses[name].description,
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        };
+        return { $ref: `#/components/responses/${name}V2` };
+    };
+    
+    // Default v2 results: readable value fields plus references as { id, name }; collections only come back when selected
+    const properties = {};
+    for (const field of entity.fields.values.filter(field => field.canGet)) {
+        const type = mapType(field.type);
+        properties[selectorName(field.name)] = { ...type, description: field.description, deprecated: field.deprecated };
+    }
+    for (const field of entity.fields.references.filter(field => field.canGet)) {
+        properties[selectorName(field.name)] = {
+            type: 'object',
+            description: `Reference to ${field.type}`,
+            properties: {
+                id: { type: 'integer', format: 'int32' },
+                name: { type: 'string' }
+            }
+        };
+    }
+    openApiSpec.components.schemas[schemaName] = {
+        type: 'object',
+        description: `${entity.description || `${entity.name} entity`} (API v2; the fields returned depend on select)`,
+        properties: properties,
+        additionalProperties: true
+    };
+    
+    const selectParameter = {
+        name: 'select',
+        in: 'query',
+        description: 'Fields to return, e.g. {id,name,project:{id,name},bugs.count}',
+        schema: { type: 'string' }
+    };
+    
+    openApiSpec.paths[basePath] = {
+        servers,
+        get: {
+            summary: `Query ${entity.name} entities (v2)`,
+            description: `Retrieves ${entity.name} entities with API v2 select, where and result expressions`,
+            operationId: `queryV2${entity.name}`,
+            tags: [tag],
+            parameters: [
+                selectParameter,
+                {
+                    name: 'where',
+                    in: 'query',
+                    description: 'Filter expression, e.g. (entityState.isFinal!=true and project.id==42)',
+                    schema: { type: 'string' }
+                },
+                {
+                    name: 'result',
+                    in: 'query',
+                    description: 'Aggregation returned instead of the items, e.g. count or {total:count}',
+                    schema: { type: 'string' }
+                },
+                {
+                    name: 'orderBy',
+                    in: 'query',
+                    description: 'Sort expression, e.g. createDate desc',
+                    schema: { type: 'string' }
+                },
+                {
+                    name: 'take',
+                    in: 'query',
+                    description: 'Number of items to return',
+                    schema: { type: 'integer', default: 25 }
+                },
+                {
+                    name: 'skip',
+                    in: 'query',
+                    description: 'Number of items to skip',
+                    schema: { type: 'integer', default: 0 }
+                }
+            ],
+            responses: {
+                '200': {
+                    description: `Page of ${entity.name} items`,
+                    content: {
+                        'application/json': {
+                            schema: {
+                                type: 'object',
+                                properties: {
+                                    next: { type: 'string', description: 'URL of the next page' },
+                                    items: {
+                                        type: 'array',
+                                        items: { $ref: `#/components/schemas/${schemaName}` }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                '400': errorResponse('BadRequest'),
+                '401': errorResponse('Unauthorized')
+            }
+        }
+    };
+    
+    openApiSpec.paths[`${basePath}/{id}`] = {
+        servers,
+        get: {
+            summary: `Get a single ${entity.name} (v2)`,
+            description: `Retrieves a specific ${entity.name} by ID with an API v2 select expression`,
+            operationId: `getV2${entity.name}`,
+            tags: [tag],
+            parameters: [
+                {
+                    name: 'id',
+                    in: 'path',
+                    required: true,
+                    description: `ID of the ${entity.name}`,
+                    schema: { type: 'integer' }
+                },
+                selectParameter
+            ],
+            responses: {
+                '200': {
+                    description: `${entity.name} found`,
+                    content: {
+                        'application/json': {
+                            schema: { $ref: `#/components/schemas/${schemaName}` }
+                        }
+                    }
+                },
+                '404': errorResponse('NotFound'),
+                '401': errorResponse('Unauthorized')
             }
         }
     };
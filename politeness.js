@@ -0,0 +1,183 @@
+import fs from 'fs';
+import { sleep } from './crawler.js';
+
+// Crawl politeness shared by the scrapers: an identifying User-Agent, robots.txt
+// rules and Crawl-delay. createPoliteClient() wraps an http client from
+// http-archive.js, so robots.txt is recorded and replayed along with the pages.
+
+const packageInfo = JSON.parse(fs.readFileSync(new URL('./package.json', import.meta.url), 'utf-8'));
+const USER_AGENT_TOKEN = packageInfo.name;
+const DEFAULT_USER_AGENT = `${USER_AGENT_TOKEN}/${packageInfo.version} (+https://github.com/aaronsb/target-process-docs)`;
+
+// Longest Crawl-delay honored; anything above is clamped so one robots.txt can't stall a crawl for hours
+const MAX_CRAWL_DELAY_MS = 60000;
+
+// Parse robots.txt into groups of { agents, rules: [{ allow, path }], crawlDelay }.
+// Consecutive User-agent lines share the rules that follow them.
+function parseRobotsTxt(text) {
+    const groups = [];
+    let group = null;
+    let readingAgents = false;
+    
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+        if (!match) {
+            continue;
+        }
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+        
+        if (field === 'user-agent') {
+            if (!readingAgents) {
+                group = { agents: [], rules: [], crawlDelay: null };
+                groups.push(group);
+            }
+            group.agents.push(value.toLowerCase());
+            readingAgents = true;
+            continue;
+        }
+        
+        readingAgents = false;
+        if (!group) {
+            continue;
+        }
+        if (field === 'allow' || field === 'disallow') {
+            // An empty Disallow allows everything, so it adds no rule
+            if (value) {
+                group.rules.push({ allow: field === 'allow', path: value });
+            }
+        } else if (field === 'crawl-delay') {
+            const seconds = Number(value);
+            if (!Number.isNaN(seconds) && seconds >= 0) {
+                group.crawlDelay = seconds * 1000;
+            }
+        }
+    }
+    
+    return groups;
+}
+
+// The rules for a user agent: every group naming its product token (the part before the /,
+// compared case-insensitively; agents are lowercased when parsed), or the * groups if none does
+function rulesFor(groups, userAgent = DEFAULT_USER_AGENT) {
+    const token = userAgent.split('/')[0].trim().toLowerCase();
+    const named = groups.filter(group => group.agents.some(agent => agent === token));
+    const matching = named.length > 0 ? named : groups.filter(group => group.agents.includes('*'));
+    const delays = matching.map(group => group.crawlDelay).filter(delay => delay !== null);
+    
+    return {
+        rules: matching.flatMap(group => group.rules),
+        crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+    };
+}
+
+function patternToRegExp(pattern) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+// The most specific (longest) matching rule decides; Allow wins a tie. Returns the rule or null.
+function matchRule(rules, pathAndQuery) {
+    let best = null;
+    for (const rule of rules) {
+        if (!patternToRegExp(rule.path).test(pathAndQuery)) {
+            continue;
+        }
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+            best = rule;
+        }
+    }
+    return best;
+}
+
+// Wrap an http client so every request sends our User-Agent, is refused when robots.txt
+// disallows it (error code ERR_ROBOTS_DISALLOWED) and waits out the site's Crawl-delay.
+// The wrapper keeps the client's mode, now() and save(); check(url) reports whether a URL may be fetched.
+function createPoliteClient(http, { userAgent = DEFAULT_USER_AGENT } = {}) {
+    // robots.txt rules per origin, fetched once
+    const robots = new Map();
+    // Earliest time the next request to each origin may start
+    const nextSlot = new Map();
+    const replaying = http.mode === 'replay';
+    const headers = { 'user-agent': userAgent };
+    
+    const loadRobots = async origin => {
+        const robotsUrl = `${origin}/robots.txt`;
+        try {
+            const response = await http.request(robotsUrl, { headers, throwHttpErrors: false });
+            if (response.statusCode >= 500) {
+                // Unreachable robots.txt means the site may not want to be crawled at all
+                console.warn(`robots.txt for ${origin} returned HTTP ${response.statusCode}; treating the site as disallowed`);
+                return { rules: [{ allow: false, path: '/' }], crawlDelay: null, source: `${robotsUrl} (HTTP ${response.statusCode})` };
+            }
+            if (response.statusCode >= 400) {
+                return { rules: [], crawlDelay: null, source: null };
+            }
+            
+            const result = rulesFor(parseRobotsTxt(String(response.body)), userAgent);
+            if (result.crawlDelay !== null) {
+                console.log(`robots.txt for ${origin} sets a crawl delay of ${result.crawlDelay / 1000}s`);
+            }
+            return { ...result, crawlDelay: result.crawlDelay !== null ? Math.min(result.crawlDelay, MAX_CRAWL_DELAY_MS) : null, source: robotsUrl };
+        } catch (error) {
+            // Archives recorded before robots.txt was fetched have no entry for it
+            if (error.code === 'ERR_NOT_ARCHIVED') {
+                return { rules: [], crawlDelay: null, source: null };
+            }
+            console.warn(`Could not fetch ${robotsUrl} (${error.message}); treating the site as disallowed`);
+            return { rules: [{ allow: false, path: '/' }], crawlDelay: null, source: `${robotsUrl} (${error.message})` };
+        }
+    };
+    
+    const robotsFor = origin => {
+        if (!robots.has(origin)) {
+            robots.set(origin, loadRobots(origin));
+        }
+        return robots.get(origin);
+    };
+    
+    // Returns { allowed, reason } for a URL
+    const check = async url => {
+        const { origin, pathname, search } = new URL(url);
+        const { rules, source } = await robotsFor(origin);
+        const rule = matchRule(rules, `${pathname}${search}`);
+        if (rule && !rule.allow) {
+            return { allowed: false, reason: `disallowed by ${source} (Disallow: ${rule.path})` };
+        }
+        return { allowed: true, reason: null };
+    };
+    
+    const waitForCrawlDelay = async origin => {
+        const { crawlDelay } = await robotsFor(origin);
+        if (!crawlDelay || replaying) {
+            return;
+        }
+        const now = Date.now();
+        const slot = Math.max(now, nextSlot.get(origin) || 0);
+        nextSlot.set(origin, slot + crawlDelay);
+        if (slot > now) {
+            await sleep(slot - now);
+        }
+    };
+    
+    return {
+        ...http,
+        userAgent,
+        check,
+        async request(url, options = {}) {
+            const { allowed, reason } = await check(url);
+            if (!allowed) {
+                throw Object.assign(new Error(`Skipped ${url}: ${reason}`), { code: 'ERR_ROBOTS_DISALLOWED', reason });
+            }
+            await waitForCrawlDelay(new URL(url).origin);
+            return http.request(url, { ...options, headers: { ...headers, ...options.headers } });
+        }
+    };
+}
+
+export { createPoliteClient, parseRobotsTxt, rulesFor, matchRule, DEFAULT_USER_AGENT };
@@ -0,0 +1,251 @@
+import * as cheerio from 'cheerio';
+import { NodeHtmlMarkdown } from 'node-html-markdown';
+
+// Readme.io-aware HTML to markdown conversion.
+// Callouts, code tabs and tables are rendered by hand and swapped in for placeholder
+// paragraphs, so node-html-markdown only ever sees the plain prose around them.
+
+const nhm = new NodeHtmlMarkdown();
+
+// Page chrome that can sit inside the content container on readme.io pages
+const DEFAULT_STRIP_SELECTORS = [
+    'script', 'style', 'noscript', 'nav', 'footer',
+    '.rm-Sidebar', '.rm-Header', '.rm-Footer', '.rm-Breadcrumbs', '.rm-Pagination',
+    '.PageThumbs', '.rm-PageThumbs', '.rm-Article-Updated', '.rm-Playground',
+    '.rm-PlaygroundRequest', '.rm-PlaygroundResponse', '.rm-APIAuth', '.api-explorer',
+    '.hub-reference-section-right', '.suggest-edits', '.page-helpful'
+];
+
+const CALLOUT_SELECTOR = 'blockquote.callout, .magic-block-callout';
+const CODE_TABS_SELECTOR = '.CodeTabs, .magic-block-code';
+const BLOCK_SELECTOR = `${CALLOUT_SELECTOR}, ${CODE_TABS_SELECTOR}, table`;
+
+// Callout classes (callout_warn, type-danger, ...) and emoji themes mapped to a label
+const CALLOUT_TYPES = {
+    info: 'Info',
+    warn: 'Warning',
+    warning: 'Warning',
+    error: 'Danger',
+    danger: 'Danger',
+    okay: 'Success',
+    success: 'Success'
+};
+const CALLOUT_THEMES = { '📘': 'Info', '🚧': 'Warning', '❗️': 'Danger', '❗': 'Danger', '👍': 'Success' };
+
+// Paragraph text swapped for rendered markdown after conversion; letters and digits only so nothing escapes it
+const PLACEHOLDER = 'TPDOCSBLOCK';
+const PLACEHOLDER_REGEX = new RegExp(`${PLACEHOLDER}(\\d+)X`, 'g');
+const PLACEHOLDER_LINE_REGEX = new RegExp(`^(.*?)${PLACEHOLDER}(\\d+)X(.*)$`);
+const LIST_MARKER_REGEX = /^(\s*)(?:[*+-]|\d+[.)])\s+/;
+
+function stripChrome($, root, selectors = DEFAULT_STRIP_SELECTORS) {
+    root.find(selectors.join(', ')).remove();
+}
+
+function calloutType($, el) {
+    const classes = ($(el).attr('class') || '').split(/\s+/);
+    for (const cls of classes) {
+        const match = cls.match(/^(?:callout[_-]|type-)(\w+)$/);
+        if (match && CALLOUT_TYPES[match[1]]) {
+            return CALLOUT_TYPES[match[1]];
+        }
+    }
+    return CALLOUT_THEMES[($(el).attr('theme') || '').trim()] || 'Note';
+}
+
+// Language of a code element from data-lang or a lang-/language- class
+function codeLanguage($, code) {
+    const dataLang = $(code).attr('data-lang');
+    if (dataLang) {
+        return dataLang.trim();
+    }
+    const match = ($(code).attr('class') || '').match(/\b(?:lang|language)-([\w#+-]+)/);
+    return match ? match[1] : '';
+}
+
+function fence(code, language) {
+    const longest = (code.match(/`{3,}/g) || []).reduce((max, run) => Math.max(max, run.length), 2);
+    const marker = '`'.repeat(longest + 1);
+    return `${marker}${language}\n${code.replace(/\n$/, '')}\n${marker}`;
+}
+
+function renderCallout($, el) {
+    const type = calloutType($, el);
+    const heading = $(el).children('.callout-heading, h3').first();
+    const title = heading.text().trim();
+    heading.remove();
+    $(el).children('.callout-icon').remove();
+    
+    const body = htmlToMarkdown(cheerio.load($(el).html() || '', null, false)).trim();
+    const lines = [`**${type}${title ? `:** ${title}` : '**'}`];
+    if (body) {
+        lines.push('', ...body.split('\n'));
+    }
+    return lines.map(line => (line ? `> ${line}` : '>')).join('\n');
+}
+
+// One fenced block per tab, labelled with the tab name and tagged with its language
+function renderCodeTabs($, el) {
+    const labels = $(el).find('.CodeTabs-toolbar button, .code-tabs a, .code-sample-tabs a, .code-sample-tabs li')
+        .map((_, tab) => $(tab).text().trim())
+        .get();
+    const blocks = $(el).find('pre').map((index, pre) => {
+        const code = $(pre).find('code').first();
+        const language = codeLanguage($, code.length > 0 ? code : pre);
+        const label = labels[index] || '';
+        const source = fence((code.length > 0 ? code : $(pre)).text(), language);
+        return labels.length > 1 && label ? `**${label}**\n\n${source}` : source;
+    }).get();
+    return blocks.join('\n\n');
+}
+
+// Plain text for a markdown table cell: pipes escaped and line breaks folded into spaces
+function escapeCell(text) {
+    return String(text ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function cellMarkdown($, cell) {
+    // Code blocks can't span lines inside a table row, so render them inline
+    $(cell).find('pre').each((_, pre) => {
+        $(pre).replaceWith($('<code></code>').text($(pre).text().trim()));
+    });
+    return htmlToMarkdown(cheerio.load($(cell).html() || '', null, false))
+        .trim()
+        .replace(/\|/g, '\\|')
+        .replace(/\s*\n+\s*/g, '<br>');
+}
+
+function cellAlignment($, cell) {
+    const align = ($(cell).attr('align') || ($(cell).attr('style') || '').match(/text-align:\s*(\w+)/)?.[1] || '').toLowerCase();
+    return { left: ':---', center: ':---:', right: '---:' }[align] || '---';
+}
+
+// GFM table with the first header row (or first row) as the header; colspans are padded with empty cells
+function renderTable($, table) {
+    const rows = $(table).find('tr').filter((_, row) => $(row).closest('table').is(table)).get();
+    if (rows.length === 0) {
+        return '';
+    }
+    
+    const headerIndex = Math.max(rows.findIndex(row => $(row).parent().is('thead')), 0);
+    const matrix = rows.map(row => {
+        const cells = [];
+        $(row).children('th, td').each((_, cell) => {
+            cells.push({ text: cellMarkdown($, cell), align: cellAlignment($, cell) });
+            for (let span = Number($(cell).attr('colspan')) || 1; span > 1; span--) {
+                cells.push({ text: '', align: '---' });
+            }
+        });
+        return cells;
+    });
+    const width = Math.max(...matrix.map(cells => cells.length));
+    const pad = cells => [...cells, ...Array(width - cells.length).fill({ text: '', align: '---' })];
+    
+    const header = pad(matrix[headerIndex]);
+    const body = matrix.filter((_, index) => index !== headerIndex).map(pad);
+    const line = cells => `| ${cells.map(cell => cell.text).join(' | ')} |`;
+    return [line(header), `| ${header.map(cell => cell.align).join(' | ')} |`, ...body.map(line)].join('\n');
+}
+
+// node-html-markdown runs a list item's blocks together with hard breaks, so blocks swapped out
+// of list items are put back on their own lines, indented to the item's continuation indent.
+// listDepths maps those blocks to how many list items they are nested in; the item's text
+// following a block is indented the same way so it stays inside the item.
+function placeListBlocks(markdown, blocks, listDepths) {
+    const lines = [];
+    // Continuation indents of the open list items, outermost first
+    const items = [];
+    let continuation = null;
+    for (const line of markdown.split('\n')) {
+        const marker = line.match(LIST_MARKER_REGEX);
+        if (marker) {
+            while (items.length > 0 && items[items.length - 1].lead >= marker[1].length) {
+                items.pop();
+            }
+            items.push({ lead: marker[1].length, indent: marker[0].length });
+            continuation = null;
+        } else if (!line.trim()) {
+            continuation = null;
+        }
+        
+        const match = line.match(PLACEHOLDER_LINE_REGEX);
+        if (!match || !listDepths.has(Number(match[2]))) {
+            const lead = line.match(/^\s*/)[0].length;
+            lines.push(continuation !== null && !marker && line.trim() && lead < continuation
+                ? `${' '.repeat(continuation)}${line.trimStart()}`
+                : line);
+            continue;
+        }
+        
+        const [, before, index, after] = match;
+        const item = items[Math.min(listDepths.get(Number(index)), items.length) - 1];
+        const indent = item ? item.indent : 0;
+        const indented = text => (text ? `${' '.repeat(indent)}${text}` : '');
+        const block = blocks[Number(index)].split('\n');
+        if (marker && !before.slice(marker[0].length).trim()) {
+            // The block starts the item
+            lines.push(`${before}${block[0]}`, ...block.slice(1).map(indented));
+        } else {
+            if (before.trim()) {
+                lines.push(before.trimEnd());
+            } else if (lines.length > 0) {
+                lines[lines.length - 1] = lines[lines.length - 1].trimEnd();
+            }
+            if (lines.length > 0 && lines[lines.length - 1].trim()) {
+                lines.push('');
+            }
+            lines.push(...block.map(indented));
+        }
+        lines.push('');
+        if (after.trim()) {
+            lines.push(indented(after.trim()));
+        }
+        continuation = indent;
+    }
+    return lines.join('\n').trimEnd();
+}
+
+// Convert a parsed document or fragment to markdown. root defaults to the whole document.
+function htmlToMarkdown($, root = $.root()) {
+    const blocks = [];
+    const listDepths = new Map();
+    const swap = (el, markdown) => {
+        const depth = $(el).parents('li').length;
+        if (depth > 0) {
+            listDepths.set(blocks.length, depth);
+        }
+        $(el).replaceWith(`<p>${PLACEHOLDER}${blocks.length}X</p>`);
+        blocks.push(markdown);
+    };
+    
+    // Only the outermost constructs are swapped here; anything nested inside them
+    // is converted along with their content
+    root.find(BLOCK_SELECTOR).filter((_, el) => $(el).parents(BLOCK_SELECTOR).length === 0).each((_, el) => {
+        if ($(el).is(CALLOUT_SELECTOR)) {
+            swap(el, renderCallout($, el));
+        } else if ($(el).is(CODE_TABS_SELECTOR)) {
+            swap(el, renderCodeTabs($, el));
+        } else {
+            swap(el, renderTable($, el));
+        }
+    });
+    
+    // Plain code blocks: fence the ones inside list items here, and tag the rest
+    // with the language node-html-markdown looks for
+    root.find('li pre').each((_, pre) => {
+        const code = $(pre).find('code').first();
+        swap(pre, fence((code.length > 0 ? code : $(pre)).text(), codeLanguage($, code.length > 0 ? code : pre)));
+    });
+    root.find('pre code').each((_, code) => {
+        const language = codeLanguage($, code);
+        if (language) {
+            $(code).attr('class', `language-${language}`);
+        }
+    });
+    
+    const html = root.is($.root()) ? $.html() : root.html();
+    const markdown = listDepths.size > 0 ? placeListBlocks(nhm.translate(html || ''), blocks, listDepths) : nhm.translate(html || '');
+    return markdown.replace(PLACEHOLDER_REGEX, (_, index) => blocks[Number(index)]);
+}
+
+export { htmlToMarkdown, stripChrome, renderTable, escapeCell, DEFAULT_STRIP_SELECTORS };
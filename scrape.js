@@ -1,116 +1,1064 @@
-import { NodeHtmlMarkdown } from 'node-html-markdown';
-import got from 'got';
 import * as cheerio from 'cheerio';
 import fs from 'fs/promises';
 import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import xml2js from 'xml2js';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { crawl, fetchWithRetry, createRateLimiter, DEFAULT_CRAWL_OPTIONS } from './crawler.js';
+import { addFrontmatter, parseFrontmatter } from './frontmatter.js';
+import { imageDimensions } from './image-size.js';
+import { openHttpClient } from './http-archive.js';
+import { createPoliteClient, DEFAULT_USER_AGENT } from './politeness.js';
+import { createCrawlReport, recordFetched, recordFailedPage, recordDisallowed, writeCrawlReport } from './crawl-report.js';
+import { createSnapshot, pruneSnapshots, listSnapshots, snapshotRoot } from './snapshots.js';
+import { htmlToMarkdown, stripChrome, DEFAULT_STRIP_SELECTORS } from './readme-markdown.js';
+import { loadDocSources, DOC_SOURCES_FILE, DEFAULT_SOURCE } from './doc-sources.js';
 
-const nhm = new NodeHtmlMarkdown();
-const baseUrl = 'https://dev.targetprocess.com/docs';
+const manifestFile = 'manifest.json';
+const navigationFile = 'navigation.json';
+const unresolvedLinksFile = 'unresolved-links.json';
+const assetsFile = 'assets.json';
+const assetsDir = 'assets';
 
-// Initialize the set of processed URLs
-const processedUrls = new Set();
+// Linked files that are downloaded with the page instead of being crawled
+const ASSET_EXTENSIONS = ['.pdf', '.json', '.yaml', '.yml', '.xml', '.csv', '.txt', '.zip', '.xlsx', '.docx'];
 
-async function fetchAndConvert(url) {
-    try {
-        // Check if URL has already been processed to prevent duplicate scraping
-        if (processedUrls.has(url)) {
-            console.log(`Dev Doc Processed: ${url}`);
-            return;
+// Elements tried in order to find the article body on readme.io pages
+const CONTENT_SELECTORS = ['.content', 'main', 'article', 'body'];
+
+// Readme.io sidebar markup, with the older hub layout as a fallback
+const NAV_SELECTORS = {
+    section: '.rm-Sidebar-section, .hub-sidebar-category',
+    heading: '.rm-Sidebar-heading, h3',
+    list: '.rm-Sidebar-list, ul'
+};
+
+// Breadcrumb trails shown above the article, used when the page isn't in the sidebar
+const BREADCRUMB_SELECTOR = '.rm-Breadcrumbs a, .breadcrumb a, .breadcrumbs a, nav[aria-label="breadcrumb"] a';
+
+// Directory that older tools read the dev docs from
+const LEGACY_DOCS_DIR = 'docs';
+
+const DEFAULT_SCRAPE_OPTIONS = {
+    source: DEFAULT_SOURCE,
+    outputDir: 'generated/dev-docs',
+    baseUrl: 'https://dev.targetprocess.com/docs',
+    seeds: ['overview'],
+    include: [],
+    exclude: [],
+    legacyCopy: true,
+    sitemap: true,
+    navigation: true,
+    snapshot: true,
+    contentSelectors: CONTENT_SELECTORS,
+    stripSelectors: DEFAULT_STRIP_SELECTORS,
+    userAgent: DEFAULT_USER_AGENT
+};
+
+// Convert a URL path glob to a regular expression.
+// `**` matches across path segments, `*` within one segment and `?` a single character.
+function globToRegExp(glob) {
+    let pattern = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            pattern += '.*';
+            i++;
+        } else if (char === '*') {
+            pattern += '[^/]*';
+        } else if (char === '?') {
+            pattern += '[^/]';
+        } else {
+            pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
         }
+    }
+    return new RegExp(`^${pattern}$`);
+}
+
+// Hash markdown content so unchanged pages can be detected even without ETags
+function hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+// Normalize a href found on a page to an absolute URL without its anchor
+function normalizeUrl(href, pageUrl) {
+    const fullUrl = new URL(href, pageUrl);
+    fullUrl.hash = '';
+    return fullUrl.toString();
+}
+
+// Check that a URL lives under the base URL and passes the include/exclude globs.
+// Globs are matched against the URL path, e.g. `/docs/*api*`.
+function isInScope(url, run) {
+    const { origin, pathname } = new URL(url);
+    if (origin !== run.base.origin) {
+        return false;
+    }
+    if (pathname !== run.basePath && !pathname.startsWith(`${run.basePath}/`)) {
+        return false;
+    }
+    if (run.include.length > 0 && !run.include.some(pattern => pattern.test(pathname))) {
+        return false;
+    }
+    return !run.exclude.some(pattern => pattern.test(pathname));
+}
+
+// Check whether a URL points to a downloadable file rather than a doc page
+function isAssetUrl(url) {
+    return ASSET_EXTENSIONS.includes(path.posix.extname(new URL(url).pathname).toLowerCase());
+}
+
+// Map a page URL to its markdown file, relative to the output directory
+function outputFileFor(url, run) {
+    const relativePath = new URL(url).pathname
+        .slice(run.basePath.length)
+        .replace(/^\/+|\/+$/g, '');
+    return `${relativePath || 'index'}.md`;
+}
+
+// Read sitemap.xml (following one level of sitemap index) and return the in-scope page URLs
+async function discoverSitemapUrls(run) {
+    const sitemapUrl = new URL('/sitemap.xml', run.base.origin).toString();
+    const urls = [];
+    
+    const readSitemap = async (url, nested) => {
+        const response = await fetchWithRetry(url, {}, run.crawlOptions);
+        const result = await xml2js.parseStringPromise(response.body);
         
-        // Mark URL as processed before fetching to prevent parallel duplications
-        processedUrls.add(url);
+        if (result.sitemapindex && !nested) {
+            for (const entry of result.sitemapindex.sitemap || []) {
+                await readSitemap(entry.loc[0].trim(), true);
+            }
+        } else if (result.urlset) {
+            for (const entry of result.urlset.url || []) {
+                urls.push(normalizeUrl(entry.loc[0].trim(), url));
+            }
+        }
+    };
+    
+    try {
+        console.log(`Reading sitemap: ${sitemapUrl}`);
+        await readSitemap(sitemapUrl, false);
+    } catch (error) {
+        console.error(`Could not read sitemap ${sitemapUrl}:`, error.message);
+    }
+    
+    const inScope = urls.filter(url => isInScope(url, run));
+    console.log(`Sitemap lists ${inScope.length} pages under ${run.baseUrl}`);
+    return inScope;
+}
+
+// Read the sidebar navigation from a page and return where each page sits in it.
+// The result maps page URL to { category, parent, order, title }, where order is
+// the page's position in the whole sidebar and parent is the URL of the page it is nested under.
+async function discoverNavigation(pageUrl, run) {
+    const navigation = {};
+    
+    try {
+        console.log(`Reading navigation from ${pageUrl}`);
+        const response = await fetchWithRetry(pageUrl, {}, run.crawlOptions);
+        const $ = cheerio.load(response.body);
+        let order = 0;
         
-        console.log(`Fetching: ${url}`);
+        const walkList = (list, category, parent) => {
+            list.children('li').each((_, item) => {
+                const link = $(item).children('a').first().length > 0
+                    ? $(item).children('a').first()
+                    : $(item).find('a').first();
+                let url = parent;
+                
+                if (link.attr('href')) {
+                    url = normalizeUrl(link.attr('href'), pageUrl);
+                    if (isInScope(url, run) && !navigation[url]) {
+                        navigation[url] = {
+                            category,
+                            parent,
+                            order: order++,
+                            title: link.text().trim()
+                        };
+                    }
+                }
+                
+                $(item).children(NAV_SELECTORS.list).each((_, childList) => {
+                    walkList($(childList), category, url);
+                });
+            });
+        };
+        
+        $(NAV_SELECTORS.section).each((_, section) => {
+            const category = $(section).find(NAV_SELECTORS.heading).first().text().trim() || null;
+            $(section).find(NAV_SELECTORS.list).first().each((_, list) => {
+                walkList($(list), category, null);
+            });
+        });
+    } catch (error) {
+        console.error(`Could not read navigation from ${pageUrl}:`, error.message);
+    }
+    
+    console.log(`Navigation lists ${Object.keys(navigation).length} pages`);
+    return navigation;
+}
+
+// Write the navigation hierarchy as an ordered table of contents
+async function writeNavigation(run) {
+    const entries = Object.entries(run.navigation)
+        .sort(([, a], [, b]) => a.order - b.order)
+        .map(([url, nav]) => ({
+            url,
+            ...nav,
+            outputPath: run.manifest.pages[url] ? run.manifest.pages[url].outputPath : null
+        }));
+    
+    try {
+        for (const dir of run.outputDirs) {
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(path.join(dir, navigationFile), JSON.stringify(entries, null, 2));
+        }
+    } catch (error) {
+        console.error('Error writing navigation:', error.message);
+    }
+}
+
+// Pick the page title from the article's <h1>, falling back to <title> without the site suffix
+function extractPageTitle($) {
+    const heading = $('h1').first().text().trim();
+    if (heading) {
+        return heading;
+    }
+    return $('title').first().text().split(' | ')[0].trim();
+}
+
+// Build the breadcrumb trail from the sidebar hierarchy, or from the page's own breadcrumbs
+function breadcrumbsFor(url, title, run, pageCrumbs = []) {
+    const nav = run.navigation[url];
+    if (!nav) {
+        return pageCrumbs.length > 0 ? [...pageCrumbs, title] : [title];
+    }
+    
+    const ancestors = [];
+    let parent = nav.parent;
+    while (parent && run.navigation[parent] && !ancestors.includes(run.navigation[parent].title)) {
+        ancestors.unshift(run.navigation[parent].title);
+        parent = run.navigation[parent].parent;
+    }
+    return [nav.category, ...ancestors, title].filter(Boolean);
+}
+
+// Frontmatter written at the top of every page
+function pageFrontmatter(url, entry, scrapedAt) {
+    const nav = entry.nav || {};
+    return {
+        source_url: url,
+        title: entry.title,
+        breadcrumbs: entry.breadcrumbs || [],
+        scraped_at: scrapedAt,
+        content_hash: entry.contentHash,
+        nav_category: nav.category ?? null,
+        nav_parent: nav.parent ?? null,
+        nav_order: nav.order ?? null
+    };
+}
+
+// Write a page's markdown to every output location
+async function writePage(fileName, content, run) {
+    const savedPaths = [];
+    for (const dir of run.outputDirs) {
+        const outputPath = path.join(dir, fileName);
+        await fs.mkdir(path.dirname(outputPath), { recursive: true });
+        await fs.writeFile(outputPath, content);
+        savedPaths.push(outputPath);
+    }
+    console.log(`Saved ${savedPaths.join(' and ')}`);
+}
+
+// Refresh the frontmatter of an unmodified page whose place in the navigation moved
+async function updateNavigation(url, entry, run) {
+    const { data, body } = parseFrontmatter(
+        await fs.readFile(path.join(run.outputDir, entry.outputPath), 'utf-8')
+    );
+    const frontmatter = pageFrontmatter(url, entry, data.scraped_at || run.http.now());
+    await writePage(entry.outputPath, addFrontmatter(frontmatter, body), run);
+}
+
+// Rewrite links inside the article to relative markdown paths.
+// Links to pages under the base URL become paths relative to the page's own file,
+// keeping their anchor. Links to the same host outside the base URL can't be
+// resolved in the output tree, so they are made absolute and returned as unresolved.
+function rewriteInternalLinks($, contentRoot, url, run) {
+    const fileName = outputFileFor(url, run);
+    const contentLinks = new Set();
+    const unresolved = [];
+    
+    contentRoot.find('a[href]').each((_, el) => {
+        const href = $(el).attr('href').trim();
+        if ($(el).attr('data-local-asset') || href.startsWith('#') || /^(mailto|javascript|tel):/i.test(href)) {
+            return;
+        }
         
-        // Fetch the page
-        const response = await got(url);
-        const html = response.body;
+        let target;
+        try {
+            target = new URL(href, url);
+        } catch (error) {
+            unresolved.push({ href, target: null, reason: 'invalid URL' });
+            return;
+        }
         
-        // Parse HTML with cheerio
-        const $ = cheerio.load(html);
+        if (target.origin !== run.base.origin) {
+            return;
+        }
         
-        // Get main content
-        const mainContent = $('.content').html() || $('main').html() || $('article').html() || $('body').html();
+        const anchor = target.hash;
+        const pageUrl = normalizeUrl(target.toString(), url);
         
-        if (!mainContent) {
-            console.error(`No content found for ${url}`);
+        if (!isInScope(pageUrl, run)) {
+            $(el).attr('href', target.toString());
+            unresolved.push({ href, target: pageUrl, reason: 'outside crawl scope' });
             return;
         }
         
-        // Convert to markdown
-        const markdown = nhm.translate(mainContent);
+        const relativePath = path.posix.relative(path.posix.dirname(fileName), outputFileFor(pageUrl, run));
+        $(el).attr('href', pageUrl === url && anchor ? anchor : `${relativePath}${anchor}`);
+        contentLinks.add(pageUrl);
+    });
+    
+    return { contentLinks: [...contentLinks], unresolved };
+}
+
+// Collect links that could not be resolved to a page in the output tree:
+// links outside the crawl scope, and links to pages that were never scraped
+async function writeUnresolvedLinks(run) {
+    const unresolved = [];
+    for (const [url, entry] of Object.entries(run.manifest.pages)) {
+        for (const link of entry.unresolvedLinks || []) {
+            unresolved.push({ page: url, outputPath: entry.outputPath, ...link });
+        }
+        for (const target of entry.contentLinks || []) {
+            if (!run.manifest.pages[target]) {
+                unresolved.push({ page: url, outputPath: entry.outputPath, href: target, target, reason: 'page not scraped' });
+            }
+        }
+    }
+    
+    try {
+        for (const dir of run.outputDirs) {
+            await fs.writeFile(path.join(dir, unresolvedLinksFile), JSON.stringify(unresolved, null, 2));
+        }
+    } catch (error) {
+        console.error('Error writing unresolved links:', error.message);
+    }
+    
+    run.unresolvedLinks = unresolved;
+}
+
+// Local file name for an asset: a short hash of its URL keeps names unique across hosts
+function assetFileName(assetUrl) {
+    const baseName = path.posix.basename(new URL(assetUrl).pathname).replace(/[^A-Za-z0-9._-]/g, '_') || 'asset';
+    const hash = crypto.createHash('sha256').update(assetUrl).digest('hex').slice(0, 10);
+    return path.posix.join(assetsDir, `${hash}-${baseName}`);
+}
+
+// Download an asset once per run, reusing the copy from the last run when it is still on disk
+function downloadAsset(assetUrl, run) {
+    if (!run.assetDownloads.has(assetUrl)) {
+        run.assetDownloads.set(assetUrl, fetchAsset(assetUrl, run));
+    }
+    return run.assetDownloads.get(assetUrl);
+}
+
+async function fetchAsset(assetUrl, run) {
+    const previous = run.previousAssets[assetUrl];
+    if (previous && await outputExists(previous, run)) {
+        const { pages, ...asset } = previous;
+        return asset;
+    }
+    
+    const response = await fetchWithRetry(assetUrl, { responseType: 'buffer' }, run.crawlOptions);
+    const outputPath = assetFileName(assetUrl);
+    for (const dir of run.outputDirs) {
+        await fs.mkdir(path.join(dir, assetsDir), { recursive: true });
+        await fs.writeFile(path.join(dir, outputPath), response.body);
+    }
+    console.log(`Downloaded asset ${assetUrl}`);
+    
+    const dimensions = imageDimensions(response.body);
+    return {
+        outputPath,
+        contentType: (response.headers['content-type'] || '').split(';')[0] || null,
+        bytes: response.body.length,
+        contentHash: hashContent(response.body),
+        width: dimensions ? dimensions.width : null,
+        height: dimensions ? dimensions.height : null
+    };
+}
+
+// Download the images and linked files in the article and point the markup at the local copies.
+// Returns one reference per asset, with the alt text (or link text) used on this page.
+async function localizeAssets($, contentRoot, url, run) {
+    const fileName = outputFileFor(url, run);
+    const references = [];
+    const elements = [];
+    
+    contentRoot.find('img').each((_, el) => {
+        const src = $(el).attr('src') || $(el).attr('data-src');
+        if (src && !src.startsWith('data:')) {
+            elements.push({ el, attr: 'src', src, kind: 'image', alt: ($(el).attr('alt') || '').trim() });
+        }
+    });
+    contentRoot.find('a[href]').each((_, el) => {
+        const href = $(el).attr('href');
+        try {
+            if (!href.startsWith('#') && isAssetUrl(new URL(href, url).toString())) {
+                elements.push({ el, attr: 'href', src: href, kind: 'file', alt: $(el).text().trim() });
+            }
+        } catch (error) {
+            // Invalid URLs are reported by rewriteInternalLinks
+        }
+    });
+    
+    for (const { el, attr, src, kind, alt } of elements) {
+        const assetUrl = new URL(src, url).toString();
+        try {
+            const asset = await downloadAsset(assetUrl, run);
+            $(el).attr(attr, path.posix.relative(path.posix.dirname(fileName), asset.outputPath));
+            $(el).attr('data-local-asset', 'true');
+            
+            references.push({
+                url: assetUrl,
+                kind,
+                alt,
+                ...asset,
+                // Sizes set in the markup are what the page displays, so prefer them
+                width: Number($(el).attr('width')) || asset.width,
+                height: Number($(el).attr('height')) || asset.height
+            });
+        } catch (error) {
+            console.error(`Error downloading asset ${assetUrl}:`, error.message);
+            $(el).attr(attr, assetUrl);
+            run.changes.failedAssets.push(assetUrl);
+        }
+    }
+    
+    return references;
+}
+
+// Load the asset catalog from the previous run so unchanged downloads are reused
+async function loadAssets(run) {
+    try {
+        const data = await fs.readFile(path.join(run.outputDir, assetsFile), 'utf-8');
+        run.previousAssets = JSON.parse(data);
+    } catch (error) {
+        run.previousAssets = {};
+    }
+}
+
+// Write the asset catalog, listing every page that uses each asset, and delete
+// downloads no page refers to any more
+async function writeAssets(truncated, run) {
+    const catalog = {};
+    for (const [pageUrl, entry] of Object.entries(run.manifest.pages)) {
+        for (const { url, alt, kind, width, height, ...asset } of entry.assets || []) {
+            if (!catalog[url]) {
+                catalog[url] = { ...asset, kind, width, height, pages: [] };
+            }
+            catalog[url].pages.push({ page: pageUrl, outputPath: entry.outputPath, alt });
+        }
+    }
+    
+    if (!truncated) {
+        const referenced = new Set(Object.values(catalog).map(asset => asset.outputPath));
+        for (const dir of run.outputDirs) {
+            const files = await fs.readdir(path.join(dir, assetsDir)).catch(() => []);
+            for (const file of files) {
+                if (!referenced.has(path.posix.join(assetsDir, file))) {
+                    await fs.rm(path.join(dir, assetsDir, file), { force: true });
+                }
+            }
+        }
+    }
+    
+    try {
+        for (const dir of run.outputDirs) {
+            await fs.writeFile(path.join(dir, assetsFile), JSON.stringify(catalog, null, 2));
+        }
+    } catch (error) {
+        console.error('Error writing assets:', error.message);
+    }
+    
+    console.log(`Assets: ${Object.keys(catalog).length} files referenced by the docs`);
+}
+
+// Load the manifest written by the previous run, if there is one
+async function loadManifest(run) {
+    try {
+        const data = await fs.readFile(path.join(run.outputDir, manifestFile), 'utf-8');
+        const loaded = JSON.parse(data);
+        run.previousManifest = { pages: loaded.pages || {} };
+        console.log(`Loaded manifest with ${Object.keys(run.previousManifest.pages).length} pages from previous run`);
+    } catch (error) {
+        // No manifest yet, so every page is treated as new
+        run.previousManifest = { pages: {} };
+    }
+}
+
+// Check whether the markdown for a previous manifest entry is still on disk
+async function outputExists(entry, run) {
+    try {
+        await fs.access(path.join(run.outputDir, entry.outputPath));
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Fetch a page, convert it if it changed, and return the absolute URLs of the doc pages it links to
+async function fetchAndConvert(url, run) {
+    const previous = run.previousManifest.pages[url];
+    let links = [];
+    
+    const { allowed, reason } = await run.http.check(url);
+    if (!allowed) {
+        recordDisallowed(run.report, url, reason);
+        return links;
+    }
+    
+    try {
+        console.log(`Fetching: ${url}`);
+        
+        // Send a conditional request when we still have the page from the last run
+        const headers = {};
+        if (previous && await outputExists(previous, run)) {
+            if (previous.etag) {
+                headers['If-None-Match'] = previous.etag;
+            }
+            if (previous.lastModified) {
+                headers['If-Modified-Since'] = previous.lastModified;
+            }
+        }
         
-        // Create filename from URL
-        const urlPath = new URL(url).pathname;
-        const relativePath = urlPath.replace('/docs/', '');
-        const outputPath = path.join('docs', `${relativePath || 'index'}.md`);
-        const generatedOutputPath = path.join('generated/dev-docs', `${relativePath || 'index'}.md`);
+        // Fetch the page, retrying transient failures
+        const response = await fetchWithRetry(url, { headers }, run.crawlOptions);
+        recordFetched(run.report, url, response);
         
-        // Ensure directories exist
-        await fs.mkdir(path.dirname(outputPath), { recursive: true });
-        await fs.mkdir(path.dirname(generatedOutputPath), { recursive: true });
-        
-        // Save markdown file to both locations
-        await fs.writeFile(outputPath, markdown);
-        await fs.writeFile(generatedOutputPath, markdown);
-        console.log(`Saved ${outputPath} and ${generatedOutputPath}`);
-        
-        // Find and process links to other doc pages
-        const links = $('a[href^="/docs/"]')
-            .map((_, el) => $(el).attr('href'))
-            .get()
-            .filter((href, index, self) => self.indexOf(href) === index); // Remove duplicates
+        if (response.statusCode === 304) {
+            // Not modified: keep the previous entry and follow the links it recorded
+            const entry = {
+                ...previous,
+                nav: run.navigation[url] || null,
+                breadcrumbs: breadcrumbsFor(url, previous.title, run, previous.pageCrumbs),
+                lastChecked: run.http.now()
+            };
+            run.manifest.pages[url] = entry;
             
-        // Process each link
-        for (const link of links) {
-            const fullUrl = new URL(link, baseUrl).toString();
-            await fetchAndConvert(fullUrl);
+            if (JSON.stringify(entry.nav) !== JSON.stringify(previous.nav || null)) {
+                console.log(`Navigation changed: ${url}`);
+                await updateNavigation(url, entry, run);
+                run.changes.changed.push(previous.outputPath);
+            } else {
+                console.log(`Unchanged: ${url}`);
+                run.changes.unchanged.push(previous.outputPath);
+            }
+            links = previous.links || [];
+        } else {
+            links = await convertPage(url, response, previous, run);
         }
     } catch (error) {
         console.error(`Error processing ${url}:`, error.message);
+        run.changes.failed.push(url);
+        recordFailedPage(run.report, url, error);
+        
+        // Keep what we had from the last run so a failure doesn't count the
+        // page (and everything only reachable through it) as removed
+        if (previous) {
+            run.manifest.pages[url] = previous;
+            links = previous.links || [];
+        }
+    }
+    
+    return links
+        .map(link => normalizeUrl(link, url))
+        .filter(link => isInScope(link, run));
+}
+
+// Convert a fetched page to markdown, write it if it changed, and return its doc links
+async function convertPage(url, response, previous, run) {
+    const html = response.body;
+    
+    // Parse HTML with cheerio
+    const $ = cheerio.load(html);
+    
+    // Find links to other doc pages
+    const links = $('a[href]')
+        .map((_, el) => $(el).attr('href'))
+        .get()
+        .filter(href => !/^(mailto|javascript|tel):/i.test(href))
+        .map(href => normalizeUrl(href, url))
+        .filter(link => isInScope(link, run) && !isAssetUrl(link))
+        .filter((link, index, self) => self.indexOf(link) === index); // Remove duplicates
+    
+    // Get main content
+    const contentRoot = run.contentSelectors
+        .map(selector => $(selector).first())
+        .find(element => element.length > 0 && element.html());
+    
+    if (!contentRoot) {
+        console.error(`No content found for ${url}`);
+        run.report.emptyPages.push(url);
+        return links;
+    }
+    
+    // Read the title and breadcrumbs before the page chrome around the article is stripped
+    const fileName = outputFileFor(url, run);
+    const title = extractPageTitle($);
+    const pageCrumbs = $(BREADCRUMB_SELECTOR).map((_, el) => $(el).text().trim()).get().filter(Boolean);
+    stripChrome($, contentRoot, run.stripSelectors);
+    
+    // Point images, files and doc links at local copies so the output can be browsed offline
+    const assets = await localizeAssets($, contentRoot, url, run);
+    const { contentLinks, unresolved } = rewriteInternalLinks($, contentRoot, url, run);
+    contentRoot.find('[data-local-asset]').removeAttr('data-local-asset');
+    
+    // Convert to markdown, with readme.io callouts, code tabs and tables handled explicitly
+    const markdown = htmlToMarkdown($, contentRoot);
+    if (!markdown.trim()) {
+        run.report.emptyPages.push(url);
+    }
+    const contentHash = hashContent(markdown);
+    
+    const entry = {
+        etag: response.headers.etag || null,
+        lastModified: response.headers['last-modified'] || null,
+        contentHash,
+        outputPath: fileName,
+        title,
+        pageCrumbs,
+        breadcrumbs: breadcrumbsFor(url, title, run, pageCrumbs),
+        links,
+        contentLinks,
+        unresolvedLinks: unresolved,
+        assets,
+        nav: run.navigation[url] || null,
+        lastChecked: run.http.now()
+    };
+    run.manifest.pages[url] = entry;
+    
+    // Skip the write when the server sent the page again but nothing we write has changed
+    if (previous && previous.contentHash === contentHash && previous.outputPath === fileName &&
+        previous.title === title && JSON.stringify(previous.breadcrumbs) === JSON.stringify(entry.breadcrumbs) &&
+        JSON.stringify(previous.nav || null) === JSON.stringify(entry.nav) && await outputExists(previous, run)) {
+        console.log(`Unchanged: ${url}`);
+        run.changes.unchanged.push(fileName);
+        return links;
+    }
+    
+    // Save markdown with its frontmatter to every output location
+    await writePage(fileName, addFrontmatter(pageFrontmatter(url, entry, entry.lastChecked), markdown), run);
+    
+    if (previous) {
+        run.changes.changed.push(fileName);
+    } else {
+        run.changes.added.push(fileName);
+    }
+    
+    return links;
+}
+
+// Remove markdown for pages that were in the previous manifest but not found this run.
+// When the crawl budget cut the run short, unvisited pages are kept instead.
+async function removeStalePages(truncated, run) {
+    for (const [url, entry] of Object.entries(run.previousManifest.pages)) {
+        if (run.manifest.pages[url]) {
+            continue;
+        }
+        
+        if (truncated) {
+            run.manifest.pages[url] = entry;
+            continue;
+        }
+        
+        run.changes.removed.push(entry.outputPath);
+        for (const dir of run.outputDirs) {
+            await fs.rm(path.join(dir, entry.outputPath), { force: true });
+        }
+        console.log(`Removed: ${entry.outputPath}`);
+    }
+}
+
+// Finish the crawl report with the link checks that need every page:
+// article links to pages that failed or were never scraped (unless robots.txt kept us out), and pages nothing links to
+async function writeScrapeReport(truncated, run) {
+    const failed = new Map(run.report.failedPages.map(page => [page.url, page.statusCode]));
+    const disallowed = new Set(run.report.disallowed.map(page => page.url));
+    const linked = new Set();
+    
+    // Only links in the article count: the sidebar and navigation link every page
+    for (const [url, entry] of Object.entries(run.manifest.pages)) {
+        for (const target of entry.contentLinks || []) {
+            if (target !== url) {
+                linked.add(target);
+            }
+            if (failed.has(target) || (!run.manifest.pages[target] && !truncated && !disallowed.has(target))) {
+                run.report.brokenLinks.push({ from: url, to: target, statusCode: failed.get(target) ?? null });
+            }
+        }
+    }
+    
+    run.report.orphans = Object.keys(run.manifest.pages)
+        .filter(url => !linked.has(url) && !run.seeds.includes(url));
+    
+    return writeCrawlReport(run.report, run.outputDirs, run.http.now());
+}
+
+// Keep a dated copy of the pages when this run changed something, so later runs can be diffed against it
+async function takeSnapshot(run) {
+    const { added, changed, removed } = run.changes;
+    if (Object.keys(run.manifest.pages).length === 0) {
+        console.log('Snapshot: no pages were scraped, skipping');
+        return;
+    }
+    const snapshots = await listSnapshots(snapshotRoot(run.outputDir));
+    if (snapshots.length > 0 && added.length + changed.length + removed.length === 0) {
+        console.log(`Snapshot: nothing changed since ${snapshots[snapshots.length - 1].name}`);
+        return;
+    }
+    await createSnapshot(run.outputDir, run.manifest.pages, run.http.now(), run.source, run.baseUrl);
+    if (run.keepSnapshots > 0) {
+        await pruneSnapshots(run.outputDir, run.keepSnapshots);
+    }
+}
+
+// Write the manifest next to metadata.json so the next run can send conditional requests
+async function writeManifest(run) {
+    const data = JSON.stringify({
+        generatedAt: run.http.now(),
+        baseUrl: run.baseUrl,
+        pages: run.manifest.pages
+    }, null, 2);
+    
+    try {
+        for (const dir of run.outputDirs) {
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(path.join(dir, manifestFile), data);
+        }
+    } catch (error) {
+        console.error('Error writing manifest:', error.message);
     }
 }
 
 // Write metadata file with scrape timestamp
-async function writeMetadata() {
+async function writeMetadata(run) {
+    const { changes } = run;
     const metadata = {
-        lastScraped: new Date().toISOString(),
-        baseUrl: baseUrl,
-        totalDocuments: processedUrls.size,
-        sourceSystem: 'dev.targetprocess.com'
+        lastScraped: run.http.now(),
+        source: run.source,
+        baseUrl: run.baseUrl,
+        totalDocuments: Object.keys(run.manifest.pages).length,
+        sourceSystem: run.base.hostname,
+        seeds: run.seeds,
+        changes: changes
     };
     
     try {
-        // Save to 'docs/metadata.json' for direct usage
-        await fs.writeFile(
-            'docs/metadata.json',
-            JSON.stringify(metadata, null, 2)
-        );
-        
-        // Also try to save to the generated directory if it exists
-        try {
+        for (const dir of run.outputDirs) {
             await fs.writeFile(
-                'generated/dev-docs/metadata.json',
+                path.join(dir, 'metadata.json'),
                 JSON.stringify(metadata, null, 2)
             );
-        } catch (err) {
-            // generated directory might not exist yet, which is fine
         }
         
         console.log(`\nLast scraped: ${metadata.lastScraped}`);
         console.log(`Total documents: ${metadata.totalDocuments}`);
+        console.log(`Added: ${changes.added.length}, changed: ${changes.changed.length}, unchanged: ${changes.unchanged.length}, removed: ${changes.removed.length}, failed: ${changes.failed.length}`);
+        if (changes.failed.length > 0) {
+            console.log(`Pages that could not be fetched:\n${changes.failed.map(url => `  - ${url}`).join('\n')}`);
+        }
+        if (changes.failedAssets.length > 0) {
+            console.log(`Assets that could not be downloaded:\n${changes.failedAssets.map(url => `  - ${url}`).join('\n')}`);
+        }
+        if (run.unresolvedLinks.length > 0) {
+            console.log(`Unresolved internal links: ${run.unresolvedLinks.length} (see ${unresolvedLinksFile})`);
+        }
         console.log('\nNote: Please consider waiting between documentation updates to avoid unnecessary load on the server.');
     } catch (error) {
         console.error('Error writing metadata:', error.message);
     }
+    
+    return metadata;
+}
+
+// Scrape a documentation site into markdown files.
+// Seeds are always fetched; links found on pages are followed only when they
+// are under baseUrl and pass the include/exclude globs.
+async function scrapeDocs(options = {}) {
+    const settings = { ...DEFAULT_SCRAPE_OPTIONS, ...options };
+    const baseUrl = settings.baseUrl.replace(/\/+$/, '');
+    const base = new URL(baseUrl);
+    // Every request identifies the scraper and follows the site's robots.txt and Crawl-delay
+    const http = createPoliteClient(await openHttpClient({ record: settings.record, replay: settings.replay }), { userAgent: settings.userAgent });
+    
+    // Replays don't touch the network, so they run one page at a time to keep the output order stable
+    const replaying = http.mode === 'replay';
+    
+    const run = {
+        baseUrl,
+        base,
+        basePath: base.pathname.replace(/\/+$/, ''),
+        outputDir: settings.outputDir,
+        outputDirs: settings.legacyCopy && path.resolve(settings.outputDir) !== path.resolve(LEGACY_DOCS_DIR)
+            ? [settings.outputDir, LEGACY_DOCS_DIR]
+            : [settings.outputDir],
+        seeds: settings.seeds.map(seed => normalizeUrl(seed, `${baseUrl}/`)),
+        include: settings.include.map(globToRegExp),
+        contentSelectors: settings.contentSelectors,
+        stripSelectors: settings.stripSelectors,
+        exclude: settings.exclude.map(globToRegExp),
+        http,
+        crawlOptions: {
+            concurrency: replaying ? 1 : settings.concurrency ?? DEFAULT_CRAWL_OPTIONS.concurrency,
+            retries: settings.retries ?? DEFAULT_CRAWL_OPTIONS.retries,
+            backoffMs: replaying ? 0 : DEFAULT_CRAWL_OPTIONS.backoffMs,
+            rateLimiter: replaying ? null : createRateLimiter(settings.rate ?? DEFAULT_CRAWL_OPTIONS.requestsPerSecond),
+            maxDepth: settings.maxDepth ?? Infinity,
+            maxPages: settings.maxPages ?? Infinity,
+            http
+        },
+        navigation: {},
+        unresolvedLinks: [],
+        source: settings.source,
+        keepSnapshots: settings.keepSnapshots || 0,
+        report: createCrawlReport(settings.source),
+        previousAssets: {},
+        assetDownloads: new Map(),
+        previousManifest: { pages: {} },
+        manifest: { pages: {} },
+        // Change tracking for the run summary
+        changes: {
+            added: [],
+            changed: [],
+            unchanged: [],
+            removed: [],
+            failed: [],
+            failedAssets: []
+        }
+    };
+    
+    console.log(`Starting documentation scraping from ${run.seeds.join(', ')}...`);
+    await loadManifest(run);
+    await loadAssets(run);
+    
+    // Pages only reachable from the sidebar or the sitemap are seeded directly
+    const seeds = [...run.seeds];
+    if (settings.navigation) {
+        run.navigation = await discoverNavigation(run.seeds[0], run);
+        seeds.push(...Object.keys(run.navigation));
+    }
+    if (settings.sitemap) {
+        seeds.push(...await discoverSitemapUrls(run));
+    }
+    
+    const stats = await crawl(seeds, url => fetchAndConvert(url, run), run.crawlOptions);
+    console.log('Scraping complete!');
+    await http.save();
+    
+    // Pages finish in whatever order the server answers; sort what gets written so a replay matches its recording
+    run.manifest.pages = Object.fromEntries(Object.entries(run.manifest.pages).sort(([a], [b]) => a.localeCompare(b)));
+    for (const files of Object.values(run.changes)) {
+        files.sort();
+    }
+    
+    const truncated = stats.skippedByDepth > 0 || stats.skippedByBudget > 0;
+    if (truncated) {
+        console.log(`Crawl budget reached: ${stats.skippedByDepth} pages skipped by depth, ${stats.skippedByBudget} by page limit`);
+    }
+    
+    await removeStalePages(truncated, run);
+    await writeManifest(run);
+    await writeNavigation(run);
+    await writeUnresolvedLinks(run);
+    await writeAssets(truncated, run);
+    await writeScrapeReport(truncated, run);
+    if (settings.snapshot) {
+        await takeSnapshot(run);
+    }
+    return writeMetadata(run);
+}
+
+// CLI interface
+async function main() {
+    const argv = yargs(hideBin(process.argv))
+        .usage('Usage: $0 [options]')
+        .option('source', {
+            alias: 'S',
+            describe: `Named source profile from ${DOC_SOURCES_FILE} to crawl, or "all" (repeatable)`,
+            type: 'array',
+            default: [DEFAULT_SOURCE]
+        })
+        .option('list-sources', {
+            describe: 'List the available source profiles',
+            type: 'boolean',
+            default: false
+        })
+        .option('output-dir', {
+            alias: 'o',
+            describe: 'Directory to write markdown files to (default: the source\'s output folder)',
+            type: 'string'
+        })
+        .option('base-url', {
+            alias: 'b',
+            describe: 'Only pages under this URL are crawled (default: the source\'s base URL)',
+            type: 'string'
+        })
+        .option('seed', {
+            alias: 's',
+            describe: 'Page to start crawling from, relative to the base URL (repeatable)',
+            type: 'array'
+        })
+        .option('include', {
+            alias: 'i',
+            describe: 'Only follow links whose path matches this glob (repeatable; replaces the source\'s globs)',
+            type: 'array'
+        })
+        .option('exclude', {
+            alias: 'x',
+            describe: 'Never follow links whose path matches this glob (repeatable; replaces the source\'s globs)',
+            type: 'array'
+        })
+        .option('legacy-copy', {
+            describe: `Also write a copy to ${LEGACY_DOCS_DIR}/ (disable with --no-legacy-copy)`,
+            type: 'boolean'
+        })
+        .option('sitemap', {
+            describe: 'Seed the crawl from sitemap.xml (disable with --no-sitemap)',
+            type: 'boolean'
+        })
+        .option('navigation', {
+            describe: 'Seed the crawl from the sidebar navigation and record each page\'s place in it (disable with --no-navigation)',
+            type: 'boolean'
+        })
+        .option('content-selector', {
+            describe: 'CSS selector for the article body, tried in order (repeatable)',
+            type: 'array'
+        })
+        .option('strip-selector', {
+            describe: 'CSS selector for page chrome removed from the article (repeatable)',
+            type: 'array'
+        })
+        .option('snapshot', {
+            describe: 'Keep a dated snapshot of the pages for `node snapshots.js diff` (disable with --no-snapshot)',
+            type: 'boolean',
+            default: DEFAULT_SCRAPE_OPTIONS.snapshot
+        })
+        .option('keep-snapshots', {
+            describe: 'Delete all but this many of the newest snapshots after taking one (default: keep every snapshot)',
+            type: 'number'
+        })
+        .option('concurrency', {
+            describe: 'Number of pages fetched in parallel',
+            type: 'number',
+            default: DEFAULT_CRAWL_OPTIONS.concurrency
+        })
+        .option('rate', {
+            describe: 'Maximum requests per second (0 for no limit)',
+            type: 'number',
+            default: DEFAULT_CRAWL_OPTIONS.requestsPerSecond
+        })
+        .option('retries', {
+            describe: 'Retries per page for timeouts, 429 and 5xx responses',
+            type: 'number',
+            default: DEFAULT_CRAWL_OPTIONS.retries
+        })
+        .option('max-depth', {
+            describe: 'Maximum link depth from the seed pages',
+            type: 'number'
+        })
+        .option('max-pages', {
+            describe: 'Maximum number of pages to crawl',
+            type: 'number'
+        })
+        .option('record', {
+            describe: 'Save every request and response to this HTTP archive file',
+            type: 'string'
+        })
+        .option('replay', {
+            describe: 'Serve every request from this HTTP archive file instead of the network',
+            type: 'string'
+        })
+        .option('user-agent', {
+            describe: 'User-Agent header sent with every request',
+            type: 'string',
+            default: DEFAULT_SCRAPE_OPTIONS.userAgent
+        })
+        .conflicts('record', 'replay')
+        .example('$0 -o generated/api-guides -s api-v1-overview -i "/docs/*api*" --no-legacy-copy', 'Crawl only the API guides into a separate workspace')
+        .example('$0 --source user-guides --source release-notes', 'Crawl the Targetprocess user guides and release notes')
+        .example('$0 --replay archives/dev-docs.json --no-legacy-copy', 'Regenerate the markdown from a recorded crawl without network access')
+        .help()
+        .alias('help', 'h')
+        .argv;
+    
+    try {
+        const sources = await loadDocSources();
+        if (argv.listSources) {
+            for (const [name, source] of Object.entries(sources)) {
+                console.log(`${name}: ${source.baseUrl} -> ${source.outputDir}${source.description ? ` (${source.description})` : ''}`);
+            }
+            return;
+        }
+        
+        const names = argv.source.map(String).includes('all') ? Object.keys(sources) : argv.source.map(String);
+        const unknown = names.filter(name => !sources[name]);
+        if (unknown.length > 0) {
+            console.error(`Error: unknown source ${unknown.join(', ')}. Available: ${Object.keys(sources).join(', ')}`);
+            process.exit(1);
+        }
+        // An archive holds one source's crawl, so recording or replaying takes a single source too
+        if (names.length > 1 && (argv.outputDir || argv.baseUrl || argv.seed || argv.record || argv.replay)) {
+            console.error('Error: --output-dir, --base-url, --seed, --record and --replay can only be used with a single --source');
+            process.exit(1);
+        }
+        
+        // Options given on the command line override the source profile
+        const overrides = Object.fromEntries(Object.entries({
+            outputDir: argv.outputDir,
+            baseUrl: argv.baseUrl,
+            seeds: argv.seed && argv.seed.map(String),
+            include: argv.include && argv.include.map(String),
+            exclude: argv.exclude && argv.exclude.map(String),
+            legacyCopy: argv.legacyCopy,
+            sitemap: argv.sitemap,
+            navigation: argv.navigation,
+            contentSelectors: argv.contentSelector && argv.contentSelector.map(String),
+            stripSelectors: argv.stripSelector && argv.stripSelector.map(String)
+        }).filter(([, value]) => value !== undefined));
+        
+        for (const name of names) {
+            console.log(`\n=== ${name} ===`);
+            await scrapeDocs({
+                ...sources[name],
+                source: name,
+                ...overrides,
+                snapshot: argv.snapshot,
+                keepSnapshots: argv.keepSnapshots,
+                concurrency: argv.concurrency,
+                rate: argv.rate,
+                retries: argv.retries,
+                maxDepth: argv.maxDepth,
+                maxPages: argv.maxPages,
+                record: argv.record,
+                replay: argv.replay,
+                userAgent: argv.userAgent
+            });
+        }
+    } catch (error) {
+        console.error('Error scraping documentation:', error);
+        process.exit(1);
+    }
+}
+
+// Run main if this file is executed directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
 }
 
-// Start scraping
-console.log('Starting documentation scraping...');
-fetchAndConvert('https://dev.targetprocess.com/docs/overview')
-    .then(async () => {
-        console.log('Scraping complete!');
-        await writeMetadata();
-    })
-    .catch(console.error);
+export { scrapeDocs, globToRegExp };
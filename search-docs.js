@@ -18,7 +18,7 @@ const argv = yargs(hideBin(process.argv))
   .option('type', {
     alias: 't',
     describe: 'Type of content to search',
-    choices: ['docs', 'sections', 'all'],
+    choices: ['docs', 'sections', 'assets', 'all'],
     default: 'all'
   })
   .option('category', {
@@ -26,6 +26,11 @@ const argv = yargs(hideBin(process.argv))
     describe: 'Filter by category',
     type: 'string'
   })
+  .option('source', {
+    alias: 'S',
+    describe: 'Only search documentation from this source (dev-docs, user-guides, api-docs, ...)',
+    type: 'string'
+  })
   .option('limit', {
     alias: 'l',
     describe: 'Maximum number of results to display',
@@ -55,10 +60,17 @@ const argv = yargs(hideBin(process.argv))
     type: 'boolean',
     default: false
   })
+  .option('list-sources', {
+    describe: 'List the documentation sources in the database',
+    type: 'boolean',
+    default: false
+  })
   .example('$0 "user story"', 'Search for "user story" in all content')
   .example('$0 -t docs api', 'Search for "api" in document titles and content')
+  .example('$0 -t assets board', 'Search for images and files described as "board"')
   .example('$0 -c feature epic', 'Search for "epic" filtered by "feature" category')
   .example('$0 -e "acceptance criteria"', 'Search for exact phrase "acceptance criteria"')
+  .example('$0 -S release-notes webhook', 'Search for "webhook" in the release notes only')
   .example('$0 --list-categories', 'List all available categories')
   .epilog('For more information, see the README.md file')
   .help()
@@ -70,7 +82,7 @@ async function main() {
   // Check for search terms
   const searchTerms = argv._.join(' ');
   
-  if (!searchTerms && !argv.listCategories) {
+  if (!searchTerms && !argv.listCategories && !argv.listSources) {
     console.log('Error: No search terms provided');
     yargs.showHelp();
     process.exit(1);
@@ -94,6 +106,13 @@ async function main() {
       return;
     }
 
+    // If user wants to list sources
+    if (argv.listSources) {
+      await listSources(db);
+      await db.close();
+      return;
+    }
+
     // Format search query for FTS5
     // Keep the original search terms for display and fallback - need to make it globally available
     global.originalTerms = searchTerms;
@@ -122,6 +141,15 @@ async function main() {
       }
     }
     
+    // Search downloaded images and files if requested
+    if (argv.type === 'assets' || argv.type === 'all') {
+      const assetResults = await searchAssets(db, searchQuery);
+      if (assetResults.length > 0) {
+        totalResults += assetResults.length;
+        displayAssetResults(assetResults);
+      }
+    }
+    
     // Show related content if requested
     if (argv.related && totalResults > 0) {
       // Implementation of related content would go here
@@ -171,6 +199,26 @@ async function listCategories(db) {
   }
 }
 
+// List the documentation sources and how many documents each has
+async function listSources(db) {
+  try {
+    const sources = await db.all(`
+      SELECT source, COUNT(*) as count
+      FROM docs
+      GROUP BY source
+      ORDER BY count DESC
+    `);
+    
+    console.log(`\n${colors.cyan('Available sources:')}`);
+    for (const source of sources) {
+      console.log(`${colors.green('•')} ${colors.bold(source.source || 'unknown')} (${source.count} documents)`);
+    }
+  } catch (error) {
+    // Databases built before sources were tracked have no source column
+    console.error(`Error listing sources: ${error.message}`);
+  }
+}
+
 // Search documents
 async function searchDocs(db, searchQuery) {
   try {
@@ -188,6 +236,8 @@ async function searchDocs(db, searchQuery) {
         path, 
         title, 
         content,
+        source_url,
+        breadcrumbs,
         highlight(docs, 0, '${colors.cyan('**')}', '${colors.cyan('**')}') as highlighted_content
       FROM 
         docs
@@ -209,6 +259,14 @@ async function searchDocs(db, searchQuery) {
       params.push(argv.category);
     }
     
+    // Add source filter if requested
+    if (argv.source) {
+      query += `
+        AND source = ?
+      `;
+      params.push(argv.source);
+    }
+    
     // Add limit
     query += `
       LIMIT ?
@@ -223,12 +281,12 @@ async function searchDocs(db, searchQuery) {
     // Fall back to simpler query if FTS5 is not working
     try {
       const query = `
-        SELECT path, title, content 
+        SELECT path, title, content, source_url, breadcrumbs 
         FROM docs 
-        WHERE content LIKE ? OR title LIKE ? 
+        WHERE (content LIKE ? OR title LIKE ?)${argv.source ? ' AND source = ?' : ''}
         LIMIT ?
       `;
-      const params = [`%${originalTerms}%`, `%${originalTerms}%`, argv.limit];
+      const params = [`%${originalTerms}%`, `%${originalTerms}%`, ...(argv.source ? [argv.source] : []), argv.limit];
       console.log(`Falling back to simple query: ${query} with params ${params.join(', ')}`);
       return await db.all(query, params);
     } catch (fallbackError) {
@@ -278,6 +336,14 @@ async function searchSections(db, searchQuery) {
       params.push(argv.category);
     }
     
+    // Add source filter if requested
+    if (argv.source) {
+      query += `
+        AND source = ?
+      `;
+      params.push(argv.source);
+    }
+    
     // Add limit
     query += `
       LIMIT ?
@@ -293,10 +359,10 @@ async function searchSections(db, searchQuery) {
       const query = `
         SELECT doc_path, section_id, title, section_path, content 
         FROM sections 
-        WHERE content LIKE ? OR title LIKE ? 
+        WHERE (content LIKE ? OR title LIKE ?)${argv.source ? ' AND source = ?' : ''}
         LIMIT ?
       `;
-      const params = [`%${originalTerms}%`, `%${originalTerms}%`, argv.limit];
+      const params = [`%${originalTerms}%`, `%${originalTerms}%`, ...(argv.source ? [argv.source] : []), argv.limit];
       console.log(`Falling back to simple sections query with params ${params.join(', ')}`);
       return await db.all(query, params);
     } catch (fallbackError) {
@@ -306,6 +372,39 @@ async function searchSections(db, searchQuery) {
   }
 }
 
+// Search assets by their alt text, link text and file name
+async function searchAssets(db, searchQuery) {
+  try {
+    return await db.all(`
+      SELECT path, doc_path, alt, kind, source_url, width, height
+      FROM assets
+      WHERE assets MATCH ?${argv.source ? ' AND doc_path IN (SELECT path FROM docs WHERE source = ?)' : ''}
+      LIMIT ?
+    `, [searchQuery, ...(argv.source ? [argv.source] : []), argv.limit]);
+  } catch (error) {
+    // Databases built before assets were downloaded have no assets table
+    if (argv.type === 'assets') {
+      console.error(`Error executing assets query: ${error.message}`);
+    }
+    return [];
+  }
+}
+
+// Display asset search results
+function displayAssetResults(results) {
+  console.log(`\n${colors.bold.yellow('Assets:')} (${results.length} results)`);
+  
+  for (const result of results) {
+    const size = result.width && result.height ? ` ${result.width}x${result.height}` : '';
+    console.log(`\n${colors.bold.green(result.alt || path.basename(result.path))} ${colors.dim(`(${result.kind}${size})`)}`);
+    console.log(`  ${colors.dim(`File: ${result.path}`)}`);
+    console.log(`  ${colors.dim(`Used in: ${result.doc_path}`)}`);
+    if (result.source_url) {
+      console.log(`  ${colors.dim(`Source: ${result.source_url}`)}`);
+    }
+  }
+}
+
 // Display document search results
 function displayDocResults(results) {
   console.log(`\n${colors.bold.yellow('Documents:')} (${results.length} results)`);
@@ -317,6 +416,12 @@ function displayDocResults(results) {
   
   for (const result of results) {
     console.log(`\n${colors.bold.green(result.title || 'Untitled')} ${colors.dim(`(${result.path})`)}`);
+    if (result.breadcrumbs) {
+      console.log(`  ${colors.dim(result.breadcrumbs)}`);
+    }
+    if (result.source_url) {
+      console.log(`  ${colors.dim(`Source: ${result.source_url}`)}`);
+    }
     
     if (argv.context) {
       if (result.highlighted_content) {
@@ -1,19 +1,79 @@
 import { fileURLToPath } from 'url';
-import got from 'got';
 import fs from 'fs/promises';
 import path from 'path';
 import xml2js from 'xml2js';
+import { openHttpClient } from './http-archive.js';
+import { fetchWithRetry, DEFAULT_CRAWL_OPTIONS } from './crawler.js';
+import { detailedFields, createResourceResolver } from './api-metadata.js';
+import { createPoliteClient } from './politeness.js';
+import { scrapeApiV2Metadata } from './api-v2.js';
+import { escapeCell } from './readme-markdown.js';
+import { fetchCustomFields, writeCustomFieldDocs } from './custom-fields.js';
+import { fetchWorkflows, writeWorkflowDocs, workflowFileName } from './workflows.js';
+import { loadCredentials, createAuthenticatedClient, credentialRedactor, assertNoUrlCredentials, describeCredentials, CREDENTIAL_ENV_VARS } from './credentials.js';
+import { createCrawlReport, recordFetched, recordFailedPage, recordFailedMeta, recordDisallowed, writeCrawlReport } from './crawl-report.js';
 
 const parseStringPromise = xml2js.parseString;
 
-async function scrapeApiMetadata(siteUrl) {
+// Progress of a site scrape, kept in the generated site directory so an interrupted
+// or partly failed run can be continued with --resume
+const CHECKPOINT_FILE = 'scrape-checkpoint.json';
+
+// Read the checkpoint a previous run of this site left behind, or null
+async function readCheckpoint(dir) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(dir, CHECKPOINT_FILE), 'utf-8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+async function writeCheckpoint(dir, checkpoint) {
+    await fs.writeFile(path.join(dir, CHECKPOINT_FILE), JSON.stringify(checkpoint, null, 2));
+}
+
+// A resource is finished once its collection metadata and its -meta document are saved
+// (or robots.txt keeps us from fetching them)
+function isFinished(status) {
+    return !!status && ['done', 'disallowed'].includes(status.resource) && ['done', 'disallowed'].includes(status.meta);
+}
+
+// Options: { record: file } saves every response to an HTTP archive,
+// { replay: file } regenerates the output from one without network access,
+// { userAgent } replaces the default User-Agent. Requests follow the site's robots.txt.
+// Credentials for private sites come from the environment or { credentialsFile } (see credentials.js);
+// a replay needs none.
+// { resume: true } skips the resources the checkpoint of an earlier run marks as finished;
+// { retries } sets how often each resource and -meta fetch is retried with backoff.
+// { workflows: true } also collects processes and entity states and draws their workflows.
+async function scrapeApiMetadata(siteUrl, options = {}) {
+    assertNoUrlCredentials(siteUrl);
+    const credentials = options.replay ? null : await loadCredentials(siteUrl, { credentialsFile: options.credentialsFile });
+    if (credentials) {
+        console.log(`Authenticating with ${describeCredentials(credentials)}`);
+    }
+    const http = createAuthenticatedClient(
+        createPoliteClient(await openHttpClient({
+            record: options.record,
+            replay: options.replay,
+            redact: credentialRedactor(credentials)
+        }), { userAgent: options.userAgent }),
+        credentials
+    );
+    const siteName = new URL(siteUrl).hostname.split('.')[0];
+    const siteDir = path.join('api-docs', siteName);
+    const generatedSiteDir = path.join('generated/api-docs', siteName);
+    const report = createCrawlReport(siteName);
+    const crawlOptions = {
+        http,
+        retries: options.retries ?? DEFAULT_CRAWL_OPTIONS.retries,
+        backoffMs: http.mode === 'replay' ? 0 : DEFAULT_CRAWL_OPTIONS.backoffMs
+    };
+    
     try {
-        const siteName = new URL(siteUrl).hostname.split('.')[0];
         console.log(`Scraping API metadata from ${siteUrl}...`);
 
         // Create directory structure - both in legacy and generated locations
-        const siteDir = path.join('api-docs', siteName);
-        const generatedSiteDir = path.join('generated/api-docs', siteName);
         const resourcesDir = path.join(siteDir, 'resources');
         const generatedResourcesDir = path.join(generatedSiteDir, 'resources');
         const markdownDir = path.join(siteDir, 'markdown');
@@ -27,7 +87,15 @@ async function scrapeApiMetadata(siteUrl) {
         
         // Fetch the API metadata index
         const metaUrl = new URL('/api/v1/index/meta', siteUrl).toString();
-        const metaResponse = await got(metaUrl);
+        const metaResponse = await fetchWithRetry(metaUrl, {}, crawlOptions).catch(error => {
+            recordFailedPage(report, metaUrl, error);
+            if (error.response && [401, 403].includes(error.response.statusCode)) {
+                console.error(`${siteUrl} refused the request (HTTP ${error.response.statusCode}). ` +
+                    `Set ${CREDENTIAL_ENV_VARS.accessToken}, ${CREDENTIAL_ENV_VARS.serviceToken} or ${CREDENTIAL_ENV_VARS.username}/${CREDENTIAL_ENV_VARS.password}, or add the site to a credentials file.`);
+            }
+            throw error;
+        });
+        recordFetched(report, metaUrl, metaResponse);
         
         // Save raw metadata to both locations
         await fs.writeFile(
@@ -53,8 +121,54 @@ async function scrapeApiMetadata(siteUrl) {
             JSON.stringify(resources, null, 2)
         );
         
+        // Fetch detailed metadata for each resource
+        console.log(`Found ${resources.length} resources. Fetching details...`);
+        
+        // Pick up where the last run stopped when resuming
+        let checkpoint = options.resume ? await readCheckpoint(generatedSiteDir) : null;
+        if (checkpoint && new URL(checkpoint.siteUrl).origin !== new URL(siteUrl).origin) {
+            console.warn(`Ignoring checkpoint for ${checkpoint.siteUrl}, it belongs to a different site`);
+            checkpoint = null;
+        }
+        if (options.resume && !checkpoint) {
+            console.log('No checkpoint found, scraping every resource');
+        }
+        checkpoint = checkpoint || { siteUrl, startedAt: http.now(), resources: {} };
+        
+        const pending = resources.filter(resource => !isFinished(checkpoint.resources[resource.$.Name]));
+        if (pending.length < resources.length) {
+            console.log(`Resuming: ${resources.length - pending.length} resources finished in an earlier run, ${pending.length} to go`);
+        }
+        
+        // Process resources in batches to avoid overwhelming the server,
+        // saving the checkpoint after each batch
+        const batchSize = 10;
+        for (let i = 0; i < pending.length; i += batchSize) {
+            const batch = pending.slice(i, i + batchSize);
+            await Promise.all(batch.map(async resource => {
+                const name = resource.$.Name;
+                checkpoint.resources[name] = await scrapeResourceMetadata(resource, siteDir, siteUrl, crawlOptions, report, checkpoint.resources[name]);
+            }));
+            checkpoint.updatedAt = http.now();
+            await writeCheckpoint(generatedSiteDir, checkpoint);
+            console.log(`Processed ${Math.min(i + batchSize, pending.length)}/${pending.length} resources`);
+        }
+        
+        // Custom field definitions, documented per entity type
+        const customFields = await fetchCustomFields(siteUrl, crawlOptions, report);
+        const customFieldGroups = customFields ? await writeCustomFieldDocs(customFields, [siteDir, generatedSiteDir], resources.map(resource => resource.$.Name)) : null;
+        
+        // Workflow state diagrams, when asked for
+        let workflows = null;
+        if (options.workflows) {
+            workflows = await fetchWorkflows(siteUrl, crawlOptions, report);
+            if (workflows) {
+                await writeWorkflowDocs(workflows, [siteDir, generatedSiteDir]);
+            }
+        }
+        
         // Generate index markdown to both locations
-        const indexMarkdown = generateIndexMarkdown(resources, siteUrl);
+        const indexMarkdown = generateIndexMarkdown(resources, siteUrl, customFieldGroups, workflows);
         await fs.writeFile(
             path.join(markdownDir, 'index.md'),
             indexMarkdown
@@ -64,27 +178,38 @@ async function scrapeApiMetadata(siteUrl) {
             indexMarkdown
         );
         
-        // Fetch detailed metadata for each resource
-        console.log(`Found ${resources.length} resources. Fetching details...`);
+        // Resource pages are written once every -meta document is in, so they can link to each other
+        await writeResourceMarkdown(resources, [siteDir, generatedSiteDir], customFieldGroups);
         
-        // Process resources in batches to avoid overwhelming the server
-        const batchSize = 10;
-        for (let i = 0; i < resources.length; i += batchSize) {
-            const batch = resources.slice(i, i + batchSize);
-            await Promise.all(batch.map(resource => 
-                scrapeResourceMetadata(resource, siteDir, siteUrl)
-            ));
-            console.log(`Processed ${Math.min(i + batchSize, resources.length)}/${resources.length} resources`);
+        // API v2 selector pages, built from the same -meta documents
+        await scrapeApiV2Metadata(siteUrl, resources, [siteDir, generatedSiteDir], crawlOptions, report);
+        
+        // Keep the checkpoint only while something is left to retry
+        const failedResources = Object.entries(checkpoint.resources)
+            .filter(([, status]) => !isFinished(status))
+            .map(([name, status]) => ({ name, ...status }));
+        if (failedResources.length > 0) {
+            console.log(`\nResources that still failed after ${crawlOptions.retries} retries:`);
+            for (const failed of failedResources) {
+                console.log(`  - ${failed.name} (${failed.resource !== 'done' ? 'resource' : '-meta'}): ${failed.error}`);
+            }
+            console.log('Run again with --resume to retry only these.');
+        } else {
+            await fs.rm(path.join(generatedSiteDir, CHECKPOINT_FILE), { force: true });
         }
         
         console.log(`Completed scraping API metadata from ${siteUrl}`);
         return {
             siteName,
-            totalResources: resources.length
+            totalResources: resources.length,
+            failedResources: failedResources.map(failed => failed.name)
         };
     } catch (error) {
         console.error('Error scraping API metadata:', error);
         throw error;
+    } finally {
+        await http.save();
+        await writeCrawlReport(report, [siteDir, generatedSiteDir], http.now());
     }
 }
 
@@ -101,14 +226,23 @@ function promisifyXmlParse(xml) {
     });
 }
 
-async function scrapeResourceMetadata(resource, siteDir, siteUrl) {
+// Fetch and save one resource and its -meta document. previous is the resource's checkpoint
+// status from an earlier run; when its collection metadata was already saved only -meta is fetched.
+// Returns the new status: { resource, meta } as 'done', 'failed' or 'disallowed', plus the last error.
+async function scrapeResourceMetadata(resource, siteDir, siteUrl, crawlOptions, report, previous) {
     const resourceName = resource.$.Name;
     const resourceUri = resource.$.Uri;
     const generatedSiteDir = path.join('generated/api-docs', new URL(siteUrl).hostname.split('.')[0]);
     
+    if (previous && previous.resource === 'done') {
+        const meta = await scrapeDetailedMetadata(resourceName, resourceUri, siteDir, generatedSiteDir, siteUrl, crawlOptions, report);
+        return { resource: 'done', ...meta };
+    }
+    
     try {
         // Fetch detailed metadata
-        const response = await got(resourceUri);
+        const response = await fetchWithRetry(resourceUri, {}, crawlOptions);
+        recordFetched(report, resourceUri, response);
         
         // Save raw metadata to both locations
         await fs.writeFile(
@@ -122,6 +256,9 @@ async function scrapeResourceMetadata(resource, siteDir, siteUrl) {
         
         // Parse XML
         const result = await promisifyXmlParse(response.body);
+        if (!result || !result.ResourceMetadataDescription) {
+            report.emptyPages.push(resourceUri);
+        }
         
         // Save JSON version to both locations
         await fs.writeFile(
@@ -133,42 +270,40 @@ async function scrapeResourceMetadata(resource, siteDir, siteUrl) {
             JSON.stringify(result, null, 2)
         );
         
-        // Generate markdown documentation for both locations
-        const markdown = generateResourceMarkdown(result, resourceName, resource.$.Description);
-        await fs.writeFile(
-            path.join(siteDir, 'markdown', `${resourceName}.md`),
-            markdown
-        );
-        await fs.writeFile(
-            path.join(generatedSiteDir, 'markdown', `${resourceName}.md`),
-            markdown
-        );
-        
         // Fetch detailed metadata from the /meta endpoint
-        await scrapeDetailedMetadata(resourceName, resourceUri, siteDir, generatedSiteDir, siteUrl);
+        const meta = await scrapeDetailedMetadata(resourceName, resourceUri, siteDir, generatedSiteDir, siteUrl, crawlOptions, report);
+        return { resource: 'done', ...meta };
         
     } catch (error) {
+        if (error.code === 'ERR_ROBOTS_DISALLOWED') {
+            recordDisallowed(report, resourceUri, error.reason);
+            return { resource: 'disallowed', meta: 'disallowed' };
+        }
         console.error(`Error processing ${resourceName}:`, error.message);
+        recordFailedPage(report, resourceUri, error, { resource: resourceName });
+        return { resource: 'failed', meta: null, error: error.message };
     }
 }
 
-// Function to fetch and process detailed metadata from the /meta endpoint
-async function scrapeDetailedMetadata(resourceName, resourceUri, siteDir, generatedSiteDir, siteUrl) {
+// Function to fetch and process detailed metadata from the /meta endpoint.
+// Returns { meta } as 'done', 'failed' or 'disallowed', plus the error when it failed.
+async function scrapeDetailedMetadata(resourceName, resourceUri, siteDir, generatedSiteDir, siteUrl, crawlOptions, report) {
+    // The resource URI already points to the collection endpoint
+    // For the metadata endpoint, we just need to append /meta to the collection URI
+    // Example: /api/v1/AcceptanceCriterions -> /api/v1/AcceptanceCriterions/meta
+    
+    // Check if the resourceUri already ends with /meta
+    // If it does, use it as is; otherwise, append /meta
+    const metaUrl = resourceUri.endsWith('/meta') || resourceUri.endsWith('/meta/') 
+        ? resourceUri 
+        : (resourceUri.endsWith('/') ? `${resourceUri}meta` : `${resourceUri}/meta`);
+    
     try {
-        // The resource URI already points to the collection endpoint
-        // For the metadata endpoint, we just need to append /meta to the collection URI
-        // Example: /api/v1/AcceptanceCriterions -> /api/v1/AcceptanceCriterions/meta
-        
-        // Check if the resourceUri already ends with /meta
-        // If it does, use it as is; otherwise, append /meta
-        const metaUrl = resourceUri.endsWith('/meta') || resourceUri.endsWith('/meta/') 
-            ? resourceUri 
-            : (resourceUri.endsWith('/') ? `${resourceUri}meta` : `${resourceUri}/meta`);
-        
         console.log(`Fetching detailed metadata from ${metaUrl}...`);
         
         // Fetch detailed metadata
-        const response = await got(metaUrl);
+        const response = await fetchWithRetry(metaUrl, {}, crawlOptions);
+        recordFetched(report, metaUrl, response);
         
         // Save raw metadata to both locations
         await fs.writeFile(
@@ -194,14 +329,23 @@ async function scrapeDetailedMetadata(resourceName, resourceUri, siteDir, genera
         );
         
         console.log(`✅ Detailed metadata for ${resourceName} saved successfully`);
+        return { meta: 'done' };
         
     } catch (error) {
+        if (error.code === 'ERR_ROBOTS_DISALLOWED') {
+            recordDisallowed(report, metaUrl, error.reason);
+            return { meta: 'disallowed' };
+        }
         console.error(`Error fetching detailed metadata for ${resourceName}:`, error.message);
+        recordFailedMeta(report, resourceName, metaUrl, error);
+        return { meta: 'failed', error: error.message };
     }
 }
 
 // Helper functions for generating markdown
-function generateIndexMarkdown(resources, siteUrl) {
+// customFieldGroups maps entity types to their custom fields, or is null when they couldn't be fetched;
+// workflows are the processes from fetchWorkflows(), or null when they weren't scraped
+function generateIndexMarkdown(resources, siteUrl, customFieldGroups = null, workflows = null) {
     const siteName = new URL(siteUrl).hostname;
     let markdown = `# API Documentation for ${siteName}\n\n`;
     markdown += `This documentation was automatically generated from the Target Process API metadata.\n\n`;
@@ -217,6 +361,27 @@ function generateIndexMarkdown(resources, siteUrl) {
     markdown += `\n### Custom Resources\n\n`;
     markdown += generateResourceTable(customResources);
     
+    if (customFieldGroups) {
+        markdown += `\n## Custom Fields\n\n`;
+        if (customFieldGroups.size === 0) {
+            markdown += '*This site defines no custom fields*\n';
+        } else {
+            markdown += `| Entity Type | Custom Fields |\n`;
+            markdown += `|-------------|---------------|\n`;
+            for (const [entityType, fields] of customFieldGroups) {
+                markdown += `| [${entityType}](custom-fields/${entityType}.md) | ${fields.map(field => escapeCell(field.name)).join(', ')} |\n`;
+            }
+        }
+    }
+    
+    if (workflows) {
+        markdown += `\n## Workflows\n\n`;
+        markdown += workflows.length === 0 ? '*No processes found*\n' : '';
+        for (const workflow of workflows) {
+            markdown += `- [${workflow.name}](workflows/${workflowFileName(workflow)}): ${workflow.entityTypes.map(type => type.name).join(', ')}\n`;
+        }
+    }
+    
     return markdown;
 }
 
@@ -239,16 +404,107 @@ function generateResourceTable(resources) {
     return table;
 }
 
-function generateResourceMarkdown(resourceData, resourceName, description) {
+// Read the saved metadata of every resource, collect which resources reference each one,
+// and write each resource's markdown page to every directory in dirs.
+// Resources with custom fields (customFieldGroups, by entity type) link to their custom field page.
+async function writeResourceMarkdown(resources, dirs, customFieldGroups = null) {
+    const resolve = createResourceResolver(resources);
+    const resourcesDir = path.join(dirs[dirs.length - 1], 'resources');
+    const readJson = async file => JSON.parse(await fs.readFile(path.join(resourcesDir, file), 'utf-8'));
+    
+    const loaded = [];
+    for (const resource of resources) {
+        const name = resource.$.Name;
+        try {
+            const resourceData = await readJson(`${name}.json`);
+            const fields = detailedFields(await readJson(`${name}-meta.json`).catch(() => null));
+            loaded.push({ resource, name, resourceData, fields });
+        } catch (error) {
+            // The resource itself failed; it is listed in the crawl report
+        }
+    }
+    
+    // Backlinks: for each resource, the references and collections in other resources that point at it
+    const referencedBy = new Map();
+    for (const { name, fields } of loaded) {
+        for (const [kind, group] of [['Reference', 'references'], ['Collection', 'collections']]) {
+            for (const field of fields ? fields[group] : []) {
+                const target = resolve(field.type);
+                if (target) {
+                    if (!referencedBy.has(target)) {
+                        referencedBy.set(target, []);
+                    }
+                    referencedBy.get(target).push({ resource: name, field: field.name, kind });
+                }
+            }
+        }
+    }
+    
+    for (const { resource, name, resourceData, fields } of loaded) {
+        let markdown = generateResourceMarkdown(resourceData, name, resource.$.Description, fields, resolve, referencedBy.get(name) || []);
+        const customFields = customFieldGroups && customFieldGroups.get(name);
+        if (customFields) {
+            markdown += `## Custom Fields\n\n`;
+            markdown += `This site defines ${customFields.length} custom field${customFields.length === 1 ? '' : 's'} for ${name}: `;
+            markdown += `${customFields.map(field => field.name).join(', ')}. See [${name} custom fields](custom-fields/${name}.md).\n\n`;
+        }
+        for (const dir of dirs) {
+            await fs.writeFile(path.join(dir, 'markdown', `${name}.md`), markdown);
+        }
+    }
+}
+
+// Link an entity type to its resource page when the site documents it
+function entityLink(type, resolve) {
+    const target = resolve(type);
+    return target ? `[${type}](${target}.md)` : `\`${type}\``;
+}
+
+// Tables for the value, reference and collection fields of a -meta document
+function generateFieldTables(fields, resolve) {
+    const check = value => (value ? '✓' : '');
+    const sections = [
+        ['Value Fields', fields.values, ['Name', 'Type', 'Description', 'Get', 'Set', 'Required', 'Deprecated'],
+            field => [field.name, `\`${field.type}\``, escapeCell(field.description), check(field.canGet), check(field.canSet), check(field.required), check(field.deprecated)]],
+        ['References', fields.references, ['Name', 'Entity', 'Description', 'Get', 'Set', 'Required', 'Deprecated'],
+            field => [field.name, entityLink(field.type, resolve), escapeCell(field.description), check(field.canGet), check(field.canSet), check(field.required), check(field.deprecated)]],
+        ['Collections', fields.collections, ['Name', 'Entity', 'Description', 'Get', 'Set', 'Add', 'Remove', 'Required', 'Deprecated'],
+            field => [field.name, entityLink(field.type, resolve), escapeCell(field.description), check(field.canGet), check(field.canSet), check(field.canAdd), check(field.canRemove), check(field.required), check(field.deprecated)]]
+    ];
+    
+    let markdown = '';
+    for (const [title, list, headers, toRow] of sections) {
+        markdown += `## ${title}\n\n`;
+        if (list.length === 0) {
+            markdown += '*None*\n\n';
+            continue;
+        }
+        markdown += `| ${headers.join(' | ')} |\n`;
+        markdown += `|${headers.map(() => '---').join('|')}|\n`;
+        for (const field of list) {
+            markdown += `| ${toRow(field).join(' | ')} |\n`;
+        }
+        markdown += `\n`;
+    }
+    return markdown;
+}
+
+// fields are the -meta value, reference and collection fields (null when -meta is missing, in which
+// case the basic Properties are shown); referencedBy lists the fields of other resources pointing here
+function generateResourceMarkdown(resourceData, resourceName, description, fields = null, resolve = () => null, referencedBy = []) {
     let markdown = `# ${resourceName}\n\n`;
     markdown += `${description || 'No description provided'}\n\n`;
     
+    if (fields) {
+        markdown += generateFieldTables(fields, resolve);
+    }
+    
     // Add metadata
     if (resourceData.ResourceMetadataDescription) {
         const metadata = resourceData.ResourceMetadataDescription;
         
-        // Add properties section if available
-        if (metadata.Properties && metadata.Properties.length > 0 && metadata.Properties[0].Property) {
+        // Add properties section if available, unless -meta already described the fields
+        if (!fields && metadata.Properties && metadata.Properties.length > 0 && metadata.Properties[0].Property) {
             markdown += `## Properties\n\n`;
             markdown += `| Name | Type | Description | Is Required |\n`;
             markdown += `|------|------|-------------|-------------|\n`;
@@ -314,6 +570,16 @@ function generateResourceMarkdown(resourceData, resourceName, description) {
         }
     }
     
+    if (referencedBy.length > 0) {
+        markdown += `## Referenced by\n\n`;
+        markdown += `| Resource | Field | Kind |\n`;
+        markdown += `|----------|-------|------|\n`;
+        for (const backlink of referencedBy) {
+            markdown += `| [${backlink.resource}](${backlink.resource}.md) | ${backlink.field} | ${backlink.kind} |\n`;
+        }
+        markdown += `\n`;
+    }
+    
     return markdown;
 }
 
@@ -321,22 +587,47 @@ function generateResourceMarkdown(resourceData, resourceName, description) {
 async function main() {
     const args = process.argv.slice(2);
     let siteUrl = null;
+    const options = {};
     
     for (let i = 0; i < args.length; i++) {
         if (args[i] === '--site' && i + 1 < args.length) {
             siteUrl = args[i + 1];
             i++;
+        } else if ((args[i] === '--record' || args[i] === '--replay') && i + 1 < args.length) {
+            options[args[i].slice(2)] = args[i + 1];
+            i++;
+        } else if (args[i] === '--user-agent' && i + 1 < args.length) {
+            options.userAgent = args[i + 1];
+            i++;
+        } else if (args[i] === '--resume') {
+            options.resume = true;
+        } else if (args[i] === '--workflows') {
+            options.workflows = true;
+        } else if (args[i] === '--retries' && i + 1 < args.length) {
+            options.retries = Number(args[i + 1]);
+            i++;
+        } else if (args[i] === '--credentials-file' && i + 1 < args.length) {
+            options.credentialsFile = args[i + 1];
+            i++;
+        } else if (['--token', '--access-token', '--service-token', '--username', '--password'].includes(args[i])) {
+            console.error(`Error: ${args[i]} is not supported; credentials are never read from the command line. ` +
+                `Set ${CREDENTIAL_ENV_VARS.accessToken}, ${CREDENTIAL_ENV_VARS.serviceToken} or ${CREDENTIAL_ENV_VARS.username}/${CREDENTIAL_ENV_VARS.password}, or use --credentials-file.`);
+            process.exit(1);
         }
     }
     
     if (!siteUrl) {
-        console.error('Error: Site URL is required. Use --site <url>');
+        console.error('Error: Site URL is required. Use --site <url> [--record <archive> | --replay <archive>] [--resume] [--retries <n>] [--workflows] [--user-agent <string>] [--credentials-file <file>]');
         process.exit(1);
     }
     
     try {
-        const result = await scrapeApiMetadata(siteUrl);
-        console.log(`Successfully scraped ${result.totalResources} resources from ${result.siteName}`);
+        const result = await scrapeApiMetadata(siteUrl, options);
+        if (result.failedResources.length > 0) {
+            console.log(`Scraped ${result.totalResources - result.failedResources.length} of ${result.totalResources} resources from ${result.siteName}`);
+        } else {
+            console.log(`Successfully scraped ${result.totalResources} resources from ${result.siteName}`);
+        }
     } catch (error) {
         console.error('Error scraping API metadata:', error);
         process.exit(1);
@@ -348,4 +639,4 @@ if (process.argv[1] === fileURLToPath(import.meta.url)) {
     main();
 }
 
-export { scrapeApiMetadata };
+export { scrapeApiMetadata, readCheckpoint };
@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import yargs from 'yargs';
+import { hideBin } from 'yargs/helpers';
+import { parseFrontmatter } from './frontmatter.js';
+import { extractSections } from './markdown-sections.js';
+
+// Dated snapshots of scraped documentation and changelogs between them.
+// scrape.js stores a snapshot of its markdown after every run that changed something;
+// `node snapshots.js diff` compares two snapshots page by page and section by section.
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const DEFAULT_DOCS_DIR = path.join('generated', 'dev-docs');
+const DEFAULT_CHANGELOG_DIR = path.join('generated', 'changelogs');
+
+// Line diffs of sections larger than this (lines x lines) are reported as a full replacement
+const MAX_DIFF_CELLS = 4000000;
+
+// Snapshots of generated/dev-docs live in generated/snapshots/dev-docs
+function snapshotRoot(outputDir) {
+    return path.join(path.dirname(outputDir), 'snapshots', path.basename(outputDir));
+}
+
+// Snapshot names are their timestamp with characters that are unsafe in file names replaced
+function snapshotName(takenAt) {
+    return takenAt.replace(/\.\d+Z$/, 'Z').replace(/:/g, '-');
+}
+
+async function listSnapshots(root) {
+    const names = await fs.readdir(root).catch(() => []);
+    const snapshots = [];
+    for (const name of names.sort()) {
+        try {
+            const info = JSON.parse(await fs.readFile(path.join(root, name, SNAPSHOT_FILE), 'utf-8'));
+            snapshots.push({ name, dir: path.join(root, name), ...info });
+        } catch (error) {
+            // Not a snapshot directory
+        }
+    }
+    return snapshots;
+}
+
+// Copy the scraped pages into a new dated snapshot.
+// pages maps each page URL to its manifest entry; only outputPath, title and contentHash are kept.
+// source is the name of the source profile (dev-docs) and baseUrl the address it was scraped from.
+// Every snapshot is a full copy of the pages, so the snapshots grow until they are pruned.
+async function createSnapshot(outputDir, pages, takenAt, source, baseUrl) {
+    const root = snapshotRoot(outputDir);
+    const dir = path.join(root, snapshotName(takenAt));
+    const snapshotPages = {};
+    await fs.mkdir(dir, { recursive: true });
+    
+    for (const [url, entry] of Object.entries(pages)) {
+        try {
+            await fs.mkdir(path.dirname(path.join(dir, entry.outputPath)), { recursive: true });
+            await fs.copyFile(path.join(outputDir, entry.outputPath), path.join(dir, entry.outputPath));
+            snapshotPages[url] = { outputPath: entry.outputPath, title: entry.title || null, contentHash: entry.contentHash };
+        } catch (error) {
+            console.error(`Error adding ${entry.outputPath} to snapshot:`, error.message);
+        }
+    }
+    
+    await fs.writeFile(path.join(dir, SNAPSHOT_FILE), JSON.stringify({ takenAt, source, baseUrl, pages: snapshotPages }, null, 2));
+    console.log(`Snapshot: ${Object.keys(snapshotPages).length} pages saved to ${dir}`);
+    return dir;
+}
+
+// Delete all but the newest keep snapshots of an output directory; returns the names of the deleted ones
+async function pruneSnapshots(outputDir, keep) {
+    const snapshots = await listSnapshots(snapshotRoot(outputDir));
+    const pruned = snapshots.slice(0, Math.max(snapshots.length - keep, 0));
+    for (const snapshot of pruned) {
+        await fs.rm(snapshot.dir, { recursive: true, force: true });
+    }
+    if (pruned.length > 0) {
+        console.log(`Snapshot: pruned ${pruned.length} old snapshots, keeping the last ${keep}`);
+    }
+    return pruned.map(snapshot => snapshot.name);
+}
+
+// Split a page into sections keyed by their heading path; repeated headings get a counter
+async function readSections(dir, outputPath) {
+    const { body } = parseFrontmatter(await fs.readFile(path.join(dir, outputPath), 'utf-8'));
+    const sections = new Map();
+    for (const section of extractSections(body)) {
+        const base = section.section_path || '(introduction)';
+        let key = base;
+        for (let i = 2; sections.has(key); i++) {
+            key = `${base} (${i})`;
+        }
+        sections.set(key, section.content.trim());
+    }
+    return sections;
+}
+
+// Line diff via longest common subsequence; returns the removed and added lines in order
+function diffLines(before, after) {
+    const a = before ? before.split('\n') : [];
+    const b = after ? after.split('\n') : [];
+    
+    if (a.length * b.length > MAX_DIFF_CELLS) {
+        return [...a.map(line => ({ type: '-', line })), ...b.map(line => ({ type: '+', line }))];
+    }
+    
+    // lengths[i][j] is the LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+    
+    const changes = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            i++;
+            j++;
+        } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            changes.push({ type: '-', line: a[i++] });
+        } else {
+            changes.push({ type: '+', line: b[j++] });
+        }
+    }
+    return changes;
+}
+
+// Compare the sections of a page present in both snapshots
+async function diffPage(fromDir, fromPage, toDir, toPage) {
+    const before = await readSections(fromDir, fromPage.outputPath);
+    const after = await readSections(toDir, toPage.outputPath);
+    const sections = [];
+    
+    for (const [sectionPath, content] of after) {
+        if (!before.has(sectionPath)) {
+            sections.push({ section: sectionPath, status: 'added', diff: diffLines('', content) });
+        } else if (before.get(sectionPath) !== content) {
+            sections.push({ section: sectionPath, status: 'changed', diff: diffLines(before.get(sectionPath), content) });
+        }
+    }
+    for (const [sectionPath, content] of before) {
+        if (!after.has(sectionPath)) {
+            sections.push({ section: sectionPath, status: 'removed', diff: diffLines(content, '') });
+        }
+    }
+    
+    return sections;
+}
+
+// Build the changelog between two snapshots: pages added, removed and changed section by section
+async function diffSnapshots(from, to) {
+    const changelog = {
+        from: { name: from.name, takenAt: from.takenAt },
+        to: { name: to.name, takenAt: to.takenAt },
+        source: to.source,
+        baseUrl: to.baseUrl || null,
+        added: [],
+        removed: [],
+        changed: []
+    };
+    
+    for (const [url, page] of Object.entries(to.pages)) {
+        const previous = from.pages[url];
+        if (!previous) {
+            changelog.added.push({ url, title: page.title, outputPath: page.outputPath });
+        } else if (previous.contentHash !== page.contentHash) {
+            const sections = await diffPage(from.dir, previous, to.dir, page);
+            if (sections.length > 0) {
+                changelog.changed.push({ url, title: page.title, outputPath: page.outputPath, sections });
+            }
+        }
+    }
+    for (const [url, page] of Object.entries(from.pages)) {
+        if (!to.pages[url]) {
+            changelog.removed.push({ url, title: page.title, outputPath: page.outputPath });
+        }
+    }
+    
+    changelog.summary = {
+        added: changelog.added.length,
+        removed: changelog.removed.length,
+        changed: changelog.changed.length
+    };
+    return changelog;
+}
+
+function formatChangelog(changelog) {
+    const pageLink = page => `[${page.title || page.outputPath}](${page.url})`;
+    let markdown = `# Documentation Changes: ${changelog.source}\n\n`;
+    markdown += changelog.baseUrl ? `Scraped from ${changelog.baseUrl}, from ${changelog.from.takenAt} to ${changelog.to.takenAt}\n\n` : `From ${changelog.from.takenAt} to ${changelog.to.takenAt}\n\n`;
+    markdown += `${changelog.summary.added} pages added, ${changelog.summary.removed} removed, ${changelog.summary.changed} changed.\n\n`;
+    
+    markdown += `## Added Pages\n\n`;
+    markdown += changelog.added.length > 0 ? changelog.added.map(page => `- ${pageLink(page)}\n`).join('') + '\n' : '*None*\n\n';
+    
+    markdown += `## Removed Pages\n\n`;
+    markdown += changelog.removed.length > 0 ? changelog.removed.map(page => `- ${pageLink(page)}\n`).join('') + '\n' : '*None*\n\n';
+    
+    markdown += `## Changed Pages\n\n`;
+    if (changelog.changed.length === 0) {
+        markdown += '*None*\n\n';
+    }
+    for (const page of changelog.changed) {
+        markdown += `### ${pageLink(page)}\n\n`;
+        for (const section of page.sections) {
+            markdown += `#### ${section.section} (${section.status})\n\n`;
+            markdown += '```diff\n';
+            markdown += section.diff.map(change => `${change.type} ${change.line}\n`).join('');
+            markdown += '```\n\n';
+        }
+    }
+    
+    return markdown;
+}
+
+// Find a snapshot by name, or by index from the end when given a negative number
+function pickSnapshot(snapshots, name, fallbackIndex) {
+    if (name === undefined) {
+        return snapshots[snapshots.length + fallbackIndex];
+    }
+    return snapshots.find(snapshot => snapshot.name === name || snapshot.takenAt === name);
+}
+
+// CLI interface
+async function main() {
+    const argv = yargs(hideBin(process.argv))
+        .usage('Usage: $0 <command> [options]')
+        .option('docs-dir', {
+            alias: 'd',
+            describe: 'Scraper output directory whose snapshots to use',
+            type: 'string',
+            default: DEFAULT_DOCS_DIR
+        })
+        .command('list', 'List the stored snapshots')
+        .command('prune', 'Delete all but the newest snapshots', command => command
+            .option('keep', {
+                alias: 'k',
+                describe: 'Number of snapshots to keep',
+                type: 'number',
+                demandOption: true
+            }))
+        .command('diff [from] [to]', 'Write a changelog between two snapshots (default: the last two)', command => command
+            .positional('from', { describe: 'Older snapshot name', type: 'string' })
+            .positional('to', { describe: 'Newer snapshot name', type: 'string' })
+            .option('output-dir', {
+                alias: 'o',
+                describe: 'Directory to write the changelog markdown and JSON to',
+                type: 'string',
+                default: DEFAULT_CHANGELOG_DIR
+            }))
+        .demandCommand(1)
+        .example('$0 diff', 'Changelog between the last two scrapes')
+        .example('$0 prune --keep 10', 'Keep only the ten newest snapshots')
+        .example('$0 diff 2025-01-01T09-00-00Z 2025-02-01T09-00-00Z', 'Changelog between two specific snapshots')
+        .help()
+        .alias('help', 'h')
+        .argv;
+    
+    try {
+        const snapshots = await listSnapshots(snapshotRoot(argv.docsDir));
+        
+        if (argv._[0] === 'list') {
+            if (snapshots.length === 0) {
+                console.log(`No snapshots found in ${snapshotRoot(argv.docsDir)}`);
+            }
+            for (const snapshot of snapshots) {
+                console.log(`${snapshot.name}  ${snapshot.source || ''}  ${Object.keys(snapshot.pages).length} pages`);
+            }
+            return;
+        }
+        
+        if (argv._[0] === 'prune') {
+            await pruneSnapshots(argv.docsDir, Math.max(argv.keep, 0));
+            return;
+        }
+        
+        const from = pickSnapshot(snapshots, argv.from, -2);
+        const to = pickSnapshot(snapshots, argv.to, -1);
+        if (!from || !to) {
+            console.error(`Error: two snapshots are needed to build a changelog; found ${snapshots.length} in ${snapshotRoot(argv.docsDir)}`);
+            process.exit(1);
+        }
+        
+        const changelog = await diffSnapshots(from, to);
+        const baseName = `${from.name}_${to.name}`;
+        await fs.mkdir(argv.outputDir, { recursive: true });
+        await fs.writeFile(path.join(argv.outputDir, `${baseName}.json`), JSON.stringify(changelog, null, 2));
+        await fs.writeFile(path.join(argv.outputDir, `${baseName}.md`), formatChangelog(changelog));
+        
+        console.log(`Changes from ${from.name} to ${to.name}: ${changelog.summary.added} added, ${changelog.summary.removed} removed, ${changelog.summary.changed} changed`);
+        console.log(`Changelog written to ${path.join(argv.outputDir, `${baseName}.md`)} and ${baseName}.json`);
+    } catch (error) {
+        console.error('Error building changelog:', error);
+        process.exit(1);
+    }
+}
+
+// Run main if this file is executed directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main();
+}
+
+export { createSnapshot, pruneSnapshots, listSnapshots, snapshotRoot, diffSnapshots, formatChangelog, diffLines };
@@ -4,8 +4,9 @@ import path from 'path';
 import { execSync } from 'child_process';
 import readline from 'readline';
 import { fileURLToPath } from 'url';
-import { scrapeApiMetadata } from './site-api-scraper.js';
+import { scrapeApiMetadata, readCheckpoint } from './site-api-scraper.js';
 import { generateOpenApiSpec } from './openapi-generator.js';
+import { readCrawlReport, countFailures, formatCrawlSummary, REPORT_MARKDOWN_FILE } from './crawl-report.js';
 
 // Create readline interface for user input
 const rl = readline.createInterface({
@@ -21,6 +22,11 @@ const OPENAPI_DIR = path.join(GENERATED_DIR, 'openapi');
 const DATABASE_DIR = path.join(GENERATED_DIR, 'database');
 const VISUALIZATION_DIR = path.join(GENERATED_DIR, 'visualization');
 
+// Exit non-zero when the scrapers report more failed fetches, broken links and
+// failed -meta fetches than this in total (override with --max-failures <n>)
+const DEFAULT_MAX_CRAWL_FAILURES = 10;
+let crawlFailures = 0;
+
 // Utility to ask a question and get response
 function ask(question) {
   return new Promise((resolve) => {
@@ -91,6 +97,29 @@ async function checkExistingContent() {
   }
 }
 
+// Print the health summary of the crawl report a scraper wrote and count its failures
+async function printCrawlReport(dir) {
+  const report = await readCrawlReport(dir);
+  if (!report) {
+    return 0;
+  }
+  
+  const failures = countFailures(report);
+  console.log(`\n🩺 Crawl health - ${formatCrawlSummary(report)}`);
+  if (failures > 0) {
+    console.log(`⚠️ ${failures} failures, see ${path.join(dir, REPORT_MARKDOWN_FILE)}`);
+  }
+  crawlFailures += failures;
+  return failures;
+}
+
+// Read --max-failures from the command line
+function maxCrawlFailures() {
+  const index = process.argv.indexOf('--max-failures');
+  const value = index >= 0 ? Number(process.argv[index + 1]) : NaN;
+  return Number.isNaN(value) ? DEFAULT_MAX_CRAWL_FAILURES : value;
+}
+
 // This function has been removed as backward compatibility is no longer needed
 
 // Function to scrape general documentation from dev.targetprocess.com
@@ -103,6 +132,7 @@ async function scrapeDevDocs(force = false) {
     // Run the scraper with the new directory structure
     execSync(`node scrape.js --output-dir ${DEV_DOCS_DIR}`, { stdio: 'inherit' });
     console.log('✅ Documentation scraping completed successfully!');
+    await printCrawlReport(DEV_DOCS_DIR);
     return true;
   } catch (error) {
     console.error('❌ Error during documentation scraping:', error);
@@ -136,11 +166,19 @@ async function scrapeApiData(siteUrl, force = false) {
   const siteName = new URL(siteUrl).hostname.split('.')[0];
   const siteDir = path.join(API_DOCS_DIR, siteName);
   
+  // An interrupted or partly failed scrape of this site left a checkpoint: continue it
+  // instead of starting over, unless --no-resume is given
+  const checkpoint = process.argv.includes('--no-resume') ? null : await readCheckpoint(siteDir);
+  const resume = !!checkpoint && new URL(checkpoint.siteUrl).origin === new URL(siteUrl).origin;
+  if (resume) {
+    console.log(`⏯️ Resuming the previous scrape of ${siteName} from its checkpoint...`);
+  }
+  
   // Check if this site's API docs already exist
   try {
     const siteExists = await fs.stat(siteDir).then(stats => stats.isDirectory()).catch(() => false);
     
-    if (siteExists && !force) {
+    if (siteExists && !force && !resume) {
       console.log(`🗑️ Removing existing API documentation for ${siteName}...`);
       await fs.rm(siteDir, { recursive: true, force: true });
     }
@@ -152,11 +190,13 @@ async function scrapeApiData(siteUrl, force = false) {
   
   try {
     // Use the imported function from site-api-scraper.js
-    const result = await scrapeApiMetadata(siteUrl);
+    const result = await scrapeApiMetadata(siteUrl, { resume, workflows: process.argv.includes('--workflows') });
     console.log(`✅ API metadata scraping completed successfully for ${siteName}!`);
+    await printCrawlReport(siteDir);
     return { siteName, success: true };
   } catch (error) {
     console.error(`❌ Error scraping API metadata from ${siteUrl}:`, error);
+    await printCrawlReport(siteDir);
     return { siteName, success: false, error: error.message };
   }
 }
@@ -272,10 +312,9 @@ async function main() {
       
       // Step 2: Ask about dev.targetprocess.com docs
       if (await confirm('\nWould you like to scrape general documentation from dev.targetprocess.com?')) {
+        // Existing docs are kept: the scraper uses its manifest to re-fetch only changed pages
         if (existing.devDocs) {
-          console.log('🗑️ Removing existing documentation...');
-          await fs.rm(DEV_DOCS_DIR, { recursive: true, force: true });
-          await fs.mkdir(DEV_DOCS_DIR, { recursive: true });
+          console.log('♻️ Existing documentation found, only changed pages will be updated...');
         }
         
         const devDocsResult = await scrapeDevDocs();
@@ -367,6 +406,12 @@ async function main() {
       console.log('\n⚠️ Some operations encountered issues. See logs above for details.');
     }
     
+    const maxFailures = maxCrawlFailures();
+    if (crawlFailures > maxFailures) {
+      console.log(`\n❌ ${crawlFailures} crawl failures exceed the limit of ${maxFailures} (--max-failures). See the crawl reports for details.`);
+      process.exitCode = 1;
+    }
+    
     rl.close();
   } catch (error) {
     console.error('❌ An error occurred:', error);
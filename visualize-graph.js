@@ -65,6 +65,16 @@ async function main() {
     // Get all relationships
     const relationships = await db.all('SELECT source_id, target_id, relationship_type FROM relationships');
     
+    // Get downloaded images and files; older databases have no assets table
+    const assets = await db.all('SELECT path, doc_path, alt, kind, width, height FROM assets').catch(() => []);
+    const docAssets = new Map();
+    assets.forEach(asset => {
+      if (!docAssets.has(asset.doc_path)) {
+        docAssets.set(asset.doc_path, []);
+      }
+      docAssets.get(asset.doc_path).push(asset);
+    });
+    
     // Get keyword category scores for all nodes
     const categoryScores = await db.all(`
       SELECT node_id, category, match_score 
@@ -103,6 +113,7 @@ async function main() {
         group: 'document',
         path: doc.path,
         section_path: doc.section_path,
+        assets: docAssets.get(doc.path) || [],
         categories: categories,
         primaryCategory: primaryCategory ? primaryCategory.category : null,
         categoryScore: primaryCategory ? primaryCategory.score : 0
@@ -0,0 +1,151 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fetchAllItems } from './api-collections.js';
+import { escapeCell } from './readme-markdown.js';
+
+// Workflows of a Targetprocess site: the entity states of each process and entity type,
+// and which states can follow each one (NextStates). They are saved as workflows.json and
+// drawn as Mermaid state diagrams, one page per process in markdown/workflows/.
+
+const WORKFLOWS_FILE = 'workflows.json';
+const PROCESS_INCLUDE = '[Id,Name,Description,IsDefault]';
+const STATE_INCLUDE = '[Id,Name,NumericPriority,IsInitial,IsFinal,IsPlanned,EntityType[Name],Process[Id],NextStates[Id]]';
+
+// Included collections come back as { Items: [...] }
+function collectionItems(value) {
+    return Array.isArray(value) ? value : (value && value.Items) || [];
+}
+
+// Fetch the processes and entity states and group the states by process and entity type:
+// [{ id, name, description, isDefault, entityTypes: [{ name, states: [{ id, name, priority, isInitial, isFinal, isPlanned, next }] }] }]
+// Returns null when either collection couldn't be fetched.
+async function fetchWorkflows(siteUrl, crawlOptions, report) {
+    console.log('Fetching processes and entity states...');
+    const processes = await fetchAllItems(siteUrl, 'Processes', PROCESS_INCLUDE, crawlOptions, report);
+    const states = processes && await fetchAllItems(siteUrl, 'EntityStates', STATE_INCLUDE, crawlOptions, report);
+    if (!processes || !states) {
+        return null;
+    }
+    
+    const workflows = processes
+        .map(item => ({ id: item.Id, name: item.Name, description: item.Description || '', isDefault: item.IsDefault === true, entityTypes: [] }))
+        .sort((a, b) => b.isDefault - a.isDefault || a.name.localeCompare(b.name));
+    const byId = new Map(workflows.map(workflow => [workflow.id, workflow]));
+    
+    for (const state of states) {
+        const workflow = state.Process && byId.get(state.Process.Id);
+        const entityTypeName = state.EntityType && state.EntityType.Name;
+        if (!workflow || !entityTypeName) {
+            continue;
+        }
+        let entityType = workflow.entityTypes.find(type => type.name === entityTypeName);
+        if (!entityType) {
+            entityType = { name: entityTypeName, states: [] };
+            workflow.entityTypes.push(entityType);
+        }
+        entityType.states.push({
+            id: state.Id,
+            name: state.Name,
+            priority: state.NumericPriority ?? null,
+            isInitial: state.IsInitial === true,
+            isFinal: state.IsFinal === true,
+            isPlanned: state.IsPlanned === true,
+            next: collectionItems(state.NextStates).map(next => next.Id)
+        });
+    }
+    
+    for (const workflow of workflows) {
+        workflow.entityTypes.sort((a, b) => a.name.localeCompare(b.name));
+        for (const entityType of workflow.entityTypes) {
+            entityType.states.sort((a, b) => (a.priority ?? Infinity) - (b.priority ?? Infinity) || a.name.localeCompare(b.name));
+        }
+    }
+    
+    console.log(`Found ${states.length} entity states in ${workflows.length} processes`);
+    return workflows;
+}
+
+// States are declared as `state "label" as sN`, where ':', ';' and '#' are plain text (entity codes are
+// not decoded in state labels, and ';' ends a `sN : label` line); only a double quote would end the label
+function mermaidLabel(text) {
+    return String(text).replace(/"/g, '\'').replace(/\s+/g, ' ').trim();
+}
+
+function generateStateDiagram(entityType) {
+    const known = new Set(entityType.states.map(state => state.id));
+    let diagram = '```mermaid\nstateDiagram-v2\n';
+    for (const state of entityType.states) {
+        diagram += `    state "${mermaidLabel(state.name)}" as s${state.id}\n`;
+    }
+    for (const state of entityType.states) {
+        if (state.isInitial) {
+            diagram += `    [*] --> s${state.id}\n`;
+        }
+        for (const next of state.next.filter(id => known.has(id))) {
+            diagram += `    s${state.id} --> s${next}\n`;
+        }
+        if (state.isFinal) {
+            diagram += `    s${state.id} --> [*]\n`;
+        }
+    }
+    return `${diagram}\`\`\`\n`;
+}
+
+// Page file name for a process; the id keeps processes with similar names apart
+function workflowFileName(workflow) {
+    return `${workflow.name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'process'}-${workflow.id}.md`;
+}
+
+function generateWorkflowMarkdown(workflow) {
+    let markdown = `# ${workflow.name} Workflows\n\n`;
+    markdown += workflow.isDefault ? `The default process of this site. ` : '';
+    markdown += `${workflow.description || `Entity states and transitions of the ${workflow.name} process.`}\n\n`;
+    if (workflow.entityTypes.length === 0) {
+        return `${markdown}*No entity states found*\n`;
+    }
+    
+    for (const entityType of workflow.entityTypes) {
+        const names = new Map(entityType.states.map(state => [state.id, state.name]));
+        markdown += `## ${entityType.name}\n\n`;
+        markdown += `${entityType.name} workflow in the ${workflow.name} process.\n\n`;
+        markdown += generateStateDiagram(entityType);
+        markdown += `\n| State | Initial | Final | Planned | Next States |\n`;
+        markdown += `|-------|---------|-------|---------|-------------|\n`;
+        for (const state of entityType.states) {
+            const next = state.next.map(id => escapeCell(names.get(id) || `#${id}`)).join(', ');
+            markdown += `| ${escapeCell(state.name)} | ${state.isInitial ? '✓' : ''} | ${state.isFinal ? '✓' : ''} | ${state.isPlanned ? '✓' : ''} | ${next || '*none*'} |\n`;
+        }
+        markdown += `\n`;
+    }
+    return markdown;
+}
+
+function generateWorkflowsIndexMarkdown(workflows) {
+    let markdown = `# Workflows\n\n`;
+    if (workflows.length === 0) {
+        return `${markdown}*No processes found*\n`;
+    }
+    markdown += `| Process | Entity Types |\n`;
+    markdown += `|---------|--------------|\n`;
+    for (const workflow of workflows) {
+        const name = `${escapeCell(workflow.name)}${workflow.isDefault ? ' (default)' : ''}`;
+        markdown += `| [${name}](${workflowFileName(workflow)}) | ${workflow.entityTypes.map(type => type.name).join(', ')} |\n`;
+    }
+    return markdown;
+}
+
+// Save the workflows to <dir>/workflows.json and write the pages to <dir>/markdown/workflows/
+async function writeWorkflowDocs(workflows, dirs) {
+    for (const dir of dirs) {
+        const markdownDir = path.join(dir, 'markdown', 'workflows');
+        await fs.rm(markdownDir, { recursive: true, force: true });
+        await fs.mkdir(markdownDir, { recursive: true });
+        await fs.writeFile(path.join(dir, WORKFLOWS_FILE), JSON.stringify(workflows, null, 2));
+        await fs.writeFile(path.join(markdownDir, 'index.md'), generateWorkflowsIndexMarkdown(workflows));
+        for (const workflow of workflows) {
+            await fs.writeFile(path.join(markdownDir, workflowFileName(workflow)), generateWorkflowMarkdown(workflow));
+        }
+    }
+}
+
+export { fetchWorkflows, writeWorkflowDocs, workflowFileName, generateStateDiagram, WORKFLOWS_FILE };